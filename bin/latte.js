@@ -8,10 +8,16 @@ process.emitWarning = function(warning, type, code, ...args) {
 };
 
 import { readdir, stat } from 'node:fs/promises';
-import { join } from 'node:path';
+import { join, relative, resolve } from 'node:path';
 import { pathToFileURL, fileURLToPath } from 'node:url';
 import { dirname } from 'node:path';
 import { spawn } from 'node:child_process';
+import { tmpdir, cpus } from 'node:os';
+import { EVENTS_FILE_ENV, readEvents, removeEvents, collectResults } from '../src/protocol.js';
+import { createReporter } from '../src/reporters.js';
+import { toRuntimeEnv } from '../src/runtime.js';
+import { loadConfig, importModule, defaultExport, matchesGlobs, describeProjects } from '../src/config.js';
+import { WatchMode } from '../src/watch.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -23,11 +29,14 @@ const __dirname = dirname(__filename);
 class LatteCLI {
   constructor() {
     this.testFiles = [];
-    this.totalResults = {
-      passed: 0,
-      failed: 0,
-      total: 0
-    };
+    this.fileResults = [];
+    this.config = null;
+    this.reporters = [];
+    this.runtimeOptions = {};
+    // Project names to run every test file for, [null] without projects
+    this.projects = [null];
+    this.spawnCount = 0;
+    this.resetResults();
   }
 
   async run() {
@@ -35,14 +44,50 @@ class LatteCLI {
 
     try {
       // Parse command line arguments
-      const args = process.argv.slice(2);
-      const filterPattern = args.find(arg => arg.startsWith('--filter='))?.split('=')[1];
-      const specificFile = args.find(arg => !arg.startsWith('--'));
+      const options = this.parseArgs(process.argv.slice(2));
+      this.config = await loadConfig({ configPath: options.config, profile: options.profile });
+      if (this.config.configFile) {
+        console.log(`Using ${this.displayPath(this.config.configFile)}${options.profile ? ` (profile: ${options.profile})` : ''}\n`);
+      }
+
+      // Command line flags win over latte.config values
+      const workers = options.workers ?? this.config.workers ?? this.defaultWorkers();
+      this.runtimeOptions = {
+        grep: options.grep,
+        artifactsDir: options.artifactsDir ? resolve(options.artifactsDir) : null,
+        retries: options.retries,
+        config: this.config.configFile,
+        profile: options.profile,
+        headed: options.headed,
+        harMode: options.harMode,
+        harDir: options.harDir ? resolve(options.harDir) : null,
+        updateSnapshots: options.updateSnapshots
+      };
+      this.projects = this.selectProjects(options.projects);
+      if (this.projects[0] !== null) {
+        console.log(`Projects: ${this.projects.join(', ')}\n`);
+      }
+      if (options.updateSnapshots) {
+        console.log('Updating screenshot baselines: matchScreenshot() saves what it sees instead of comparing\n');
+      }
+      if (options.harMode) {
+        const harDir = this.displayPath(this.runtimeOptions.harDir || this.config.har.dir) || '.';
+        console.log(options.harMode === 'record'
+          ? `Recording network traffic into ${harDir}/\n`
+          : `Replaying network traffic from ${harDir}/ (unrecorded requests fail the test)\n`);
+      }
+      this.reporters = await this.createReporters(options.reporters, options.output);
+      const filterPattern = options.filter;
+
+      // Watch mode keeps running and re-runs affected files on change
+      if (options.watch) {
+        await new WatchMode(this, { workers, filter: filterPattern ?? options.file }).start();
+        return;
+      }
 
       // If a specific file is provided, run only that file
-      if (specificFile) {
-        await this.runTestFile(specificFile);
-        this.showFinalSummary();
+      if (options.file) {
+        await this.execute([options.file], workers);
         return;
       }
 
@@ -52,9 +97,7 @@ class LatteCLI {
       if (this.testFiles.length === 0) {
         console.log('No test files found in the current directory.\n');
         console.log('Supported file patterns:');
-        console.log('  • *.latte.{js,ts,tsx} (recommended)');
-        console.log('  • *.test.{js,ts,tsx}');
-        console.log('  • *.spec.{js,ts,tsx}');
+        this.config.testMatch.forEach(pattern => console.log(`  • ${pattern}`));
         console.log('\nExamples: login.latte.js, cart.test.ts, auth.spec.tsx');
         console.log('Note: TypeScript files require: npm install tsx');
         console.log('\nFor documentation and examples: https://github.com/dev-be-bot/latte-test');
@@ -62,6 +105,18 @@ class LatteCLI {
         console.log('  npx latte                    # Run all tests');
         console.log('  npx latte login.test.js      # Run specific file');
         console.log('  npx latte --filter=login     # Run tests matching pattern');
+        console.log('  npx latte --grep="checkout"  # Run tests whose name matches a regex');
+        console.log('  npx latte --workers=4        # Run 4 test files at a time');
+        console.log('  npx latte --retries=2        # Retry failed tests up to 2 times');
+        console.log('  npx latte --reporter=junit --output=results.xml  # Write a JUnit report');
+        console.log('  npx latte --artifacts-dir=artifacts  # Save screenshot, HTML and logs of failed tests');
+        console.log('  npx latte --profile=staging  # Apply a profile from latte.config.js');
+        console.log('  npx latte --watch            # Re-run affected tests when files change');
+        console.log('  npx latte --headed           # Show the browser while tests run');
+        console.log('  npx latte --record-har       # Save each test\'s network traffic into hars/');
+        console.log('  npx latte --replay-har       # Answer requests from the saved traffic, offline');
+        console.log('  npx latte --update-snapshots # Accept new screenshot baselines for matchScreenshot()');
+        console.log('  npx latte --project=mobile   # Run only this project from latte.config.js');
         return;
       }
 
@@ -91,12 +146,7 @@ class LatteCLI {
       }
 
       // Run test files in isolated processes
-      for (const testFile of filesToRun) {
-        await this.runTestFile(testFile);
-      }
-
-      // Show final summary
-      this.showFinalSummary();
+      await this.execute(filesToRun, workers);
 
     } catch (error) {
       console.error('❌ Error running tests:', error.message);
@@ -104,143 +154,609 @@ class LatteCLI {
     }
   }
 
+  /**
+   * Find test files in the project
+   * Walks the project root (the folder of the config file) and keeps the files
+   * matching testMatch and not testIgnore.
+   */
   async discoverTests() {
-    const cwd = process.cwd();
-    
-    // Priority search order: common test folders first, then full project
-    const searchPaths = [
-      join(cwd, 'tests'),     // tests/
-      join(cwd, 'test'),      // test/
-      join(cwd, '__tests__'), // __tests__/
-      join(cwd, 'e2e'),       // e2e/
-      cwd                     // root + all subdirs (fallback)
-    ];
-    
-    const foundFiles = new Set(); // Prevent duplicates
-    
-    for (const searchPath of searchPaths) {
-      try {
-        const stats = await stat(searchPath);
-        if (stats.isDirectory()) {
-          if (searchPath !== cwd) {
-            console.log(`Scanning ${searchPath.split(/[/\\]/).pop()}/ directory...`);
-          }
-          await this.findTestFiles(searchPath, foundFiles);
-        }
-      } catch (error) {
-        // Folder doesn't exist, skip
-      }
-    }
-    
-    // Convert Set back to Array
+    const foundFiles = new Set();
+    await this.findTestFiles(this.config.rootDir, foundFiles);
     this.testFiles = Array.from(foundFiles);
   }
 
   async findTestFiles(dir, foundFiles = new Set()) {
+    let entries;
     try {
-      const entries = await readdir(dir);
-      
-      for (const entry of entries) {
-        const fullPath = join(dir, entry);
-        const stats = await stat(fullPath);
-        
-        if (stats.isDirectory() && !entry.startsWith('.') && entry !== 'node_modules') {
+      entries = await readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      // Skip folders we can't read, or that were deleted while scanning
+      if (error.code === 'EACCES' || error.code === 'ENOENT') return foundFiles;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const fullPath = join(dir, entry.name);
+
+      let isDirectory = entry.isDirectory();
+      if (entry.isSymbolicLink()) {
+        // Editor lock files are dangling symlinks, and temp files vanish between readdir and stat
+        const stats = await stat(fullPath).catch(error => {
+          if (error.code === 'ENOENT' || error.code === 'EACCES') return null;
+          throw error;
+        });
+        if (!stats) continue;
+        isDirectory = stats.isDirectory();
+      }
+
+      if (isDirectory) {
+        // "**/node_modules/**" in testIgnore also skips the folder itself
+        if (!this.isIgnoredPath(`${fullPath}/`)) {
           await this.findTestFiles(fullPath, foundFiles);
-        } else if (this.isTestFile(entry)) {
-          foundFiles.add(fullPath);
         }
+      } else if (this.isTestFile(fullPath)) {
+        foundFiles.add(fullPath);
       }
+    }
+
+    return foundFiles;
+  }
+
+  /**
+   * Check if a file is a test file based on the testMatch/testIgnore patterns
+   * @param {string} fullPath - Absolute path of the file
+   * @returns {boolean} - True if it's a test file
+   */
+  isTestFile(fullPath) {
+    return matchesGlobs(this.projectPath(fullPath), this.config.testMatch) && !this.isIgnoredPath(fullPath);
+  }
+
+  /**
+   * Check a file or folder (with a trailing slash) against the testIgnore patterns
+   * @param {string} fullPath - Absolute path
+   * @returns {boolean}
+   */
+  isIgnoredPath(fullPath) {
+    return matchesGlobs(this.projectPath(fullPath), this.config.testIgnore);
+  }
+
+  /**
+   * Path relative to the project root, with forward slashes, as the globs expect
+   * @param {string} fullPath - Absolute path
+   * @returns {string}
+   */
+  projectPath(fullPath) {
+    const trailingSlash = /[/\\]$/.test(fullPath) ? '/' : '';
+    return relative(this.config.rootDir, fullPath).replace(/\\/g, '/') + trailingSlash;
+  }
+
+  /**
+   * Parse command line flags
+   * @param {string[]} args - Arguments after "latte"
+   * @returns {Object} - Parsed options (undefined/null when not given)
+   */
+  parseArgs(args) {
+    // Values may contain "=" (regexes, paths), so only split on the first one
+    const value = name => {
+      const arg = args.find(arg => arg.startsWith(`--${name}=`));
+      return arg === undefined ? undefined : arg.slice(name.length + 3);
+    };
+
+    return {
+      file: args.find(arg => !arg.startsWith('--')),
+      filter: value('filter'),
+      workers: this.parseWorkers(value('workers')),
+      grep: this.parseGrep(value('grep')),
+      artifactsDir: value('artifacts-dir'),
+      retries: this.parseRetries(value('retries')),
+      reporters: args.filter(arg => arg.startsWith('--reporter=')).map(arg => arg.slice('--reporter='.length)),
+      projects: args.filter(arg => arg.startsWith('--project=')).flatMap(arg => arg.slice('--project='.length).split(',')).filter(Boolean),
+      output: value('output'),
+      config: value('config'),
+      profile: value('profile'),
+      watch: args.includes('--watch'),
+      headed: args.includes('--headed'),
+      updateSnapshots: args.includes('--update-snapshots'),
+      ...this.parseHar(args, value)
+    };
+  }
+
+  /**
+   * Projects to run, in config order: the ones given with --project, or all of them
+   * @param {string[]} names - --project values
+   * @returns {Array<string|null>} - Project names, [null] when the config has no projects
+   */
+  selectProjects(names) {
+    const projects = this.config.projects;
+    const unknown = names.find(name => !projects.some(project => project.name === name));
+    if (unknown !== undefined) {
+      throw new Error(`Unknown project "${unknown}". ${describeProjects(projects)}`);
+    }
+
+    const selected = projects.filter(project => names.length === 0 || names.includes(project.name));
+    return selected.length > 0 ? selected.map(project => project.name) : [null];
+  }
+
+  /**
+   * Parse --record-har[=dir] and --replay-har[=dir]
+   * @returns {{harMode: string|null, harDir: string|undefined}}
+   */
+  parseHar(args, value) {
+    const given = name => args.includes(`--${name}`) || value(name) !== undefined;
+    const record = given('record-har');
+    const replay = given('replay-har');
+
+    if (record && replay) {
+      throw new Error('Use either --record-har or --replay-har, not both');
+    }
+    if (!record && !replay) {
+      return { harMode: null, harDir: undefined };
+    }
+    return {
+      harMode: record ? 'record' : 'replay',
+      harDir: value(record ? 'record-har' : 'replay-har')
+    };
+  }
+
+  /**
+   * Run test files between the config's global setup and teardown, then show the summary
+   * @param {string[]} files - Test files to run
+   * @param {number} workers - Maximum number of files running at the same time
+   */
+  async execute(files, workers) {
+    const teardowns = await this.runGlobalSetup();
+
+    try {
+      await this.runTestFiles(files, workers);
+    } finally {
+      for (const teardown of teardowns.reverse()) {
+        await teardown(this.config);
+      }
+    }
+
+    await this.showFinalSummary();
+  }
+
+  /**
+   * Run the globalSetup module and the auth logins, and collect teardown functions
+   * A globalSetup may return a function, which is called as teardown.
+   * @returns {Promise<Function[]>} - Teardown functions, in setup order
+   */
+  async runGlobalSetup() {
+    const teardowns = [];
+
+    if (this.config.globalTeardown) {
+      teardowns.push(await this.importProjectFunction(this.config.globalTeardown, 'globalTeardown'));
+    }
+
+    if (this.config.globalSetup) {
+      const setup = await this.importProjectFunction(this.config.globalSetup, 'globalSetup');
+      console.log('Running global setup...');
+      const result = await setup(this.config);
+      if (typeof result === 'function') {
+        teardowns.push(result);
+      }
+    }
+
+    // After globalSetup, which may start the app the login runs against
+    try {
+      await this.runAuthSetup();
     } catch (error) {
-      // Skip directories we can't read
-      if (error.code !== 'EACCES') {
-        throw error;
+      for (const teardown of teardowns.reverse()) {
+        await teardown(this.config);
       }
+      throw error;
     }
+
+    return teardowns;
   }
 
   /**
-   * Check if a file is a test file based on supported patterns
-   * @returns {boolean} - True if it's a test file
+   * Log in once for the whole run: every auth entry runs in a fresh browser and saves its state file,
+   * which tests start from with the state option
+   */
+  async runAuthSetup() {
+    const entries = Object.entries(this.config.auth || {});
+    if (entries.length === 0) return;
+
+    // Loaded here so runs without auth don't pay for Puppeteer in the CLI process
+    const { BrowserApp } = await import('../src/browser-app.js');
+
+    for (const [file, login] of entries) {
+      if (typeof login !== 'function') {
+        throw new Error(`auth entry "${file}" must be a function logging in, like async (app) => { ... }`);
+      }
+
+      console.log(`🔑 Logging in for ${file}...`);
+      // A default state option may point at the very file this creates
+      const { state, ...browserOptions } = this.config.browser;
+      const app = new BrowserApp({
+        ...browserOptions,
+        baseURL: this.config.baseURL,
+        ...(this.runtimeOptions.headed ? { headless: false } : {})
+      });
+      try {
+        await login(app);
+        await app.saveState(resolve(this.config.rootDir, file));
+      } catch (error) {
+        throw new Error(`auth setup for ${file} failed: ${error.message}`);
+      } finally {
+        await app.cleanup();
+      }
+    }
+    console.log('');
+  }
+
+  /**
+   * Import a module from the config and return its default exported function
+   * @param {string} path - Module path, relative to the config file
+   * @param {string} option - Config option name, for error messages
+   */
+  async importProjectFunction(path, option) {
+    const module = await importModule(resolve(this.config.rootDir, path));
+    const fn = typeof defaultExport(module) === 'function' ? defaultExport(module) : module[option];
+
+    if (typeof fn !== 'function') {
+      throw new Error(`${option} module "${path}" must export a function`);
+    }
+    return fn;
+  }
+
+  /**
+   * Default number of workers: one per CPU core
+   */
+  defaultWorkers() {
+    return cpus().length || 1;
+  }
+
+  /**
+   * Parse the --workers value
+   * @param {string} [value] - Raw --workers value
+   * @returns {number|null} - Number of test files to run at the same time, null when not set
+   */
+  parseWorkers(value) {
+    if (value === undefined) return null;
+
+    // Unlike parseInt, Number() doesn't read "2abc" as 2 or "1.5" as 1 (and "" would be 0)
+    const workers = value.trim() === '' ? NaN : Number(value);
+    if (!Number.isInteger(workers) || workers < 1) {
+      throw new Error(`Invalid --workers value "${value}". Expected a positive whole number.`);
+    }
+    return workers;
+  }
+
+  /**
+   * Parse the --retries value
+   * @param {string} [value] - Raw --retries value
+   * @returns {number|null} - Retries for every failed test, null when not set
+   */
+  parseRetries(value) {
+    if (value === undefined) return null;
+
+    const retries = value.trim() === '' ? NaN : Number(value);
+    if (!Number.isInteger(retries) || retries < 0) {
+      throw new Error(`Invalid --retries value "${value}". Expected 0 or a positive whole number.`);
+    }
+    return retries;
+  }
+
+  /**
+   * Validate the --grep regex before spawning any test process
+   * @param {string} [value] - Raw --grep value
+   * @returns {string|null} - The regex source, passed on to test processes
+   */
+  parseGrep(value) {
+    if (!value) return null;
+
+    try {
+      new RegExp(value);
+    } catch (error) {
+      throw new Error(`Invalid --grep pattern "${value}": ${error.message}`);
+    }
+    return value;
+  }
+
+  /**
+   * Create the reporters requested with --reporter, or the config's reporters
+   * @param {string[]} names - Reporter names or module paths (comma separated values allowed)
+   * @param {string} [output] - Output file, only valid with a single reporter
+   * @returns {Promise<Array>} - Reporter instances
+   */
+  async createReporters(names, output) {
+    const reporterNames = names.flatMap(name => name.split(',')).filter(Boolean);
+
+    if (output && reporterNames.length !== 1) {
+      throw new Error('--output can only be used with exactly one --reporter');
+    }
+
+    if (reporterNames.length > 0) {
+      return Promise.all(reporterNames.map(name => createReporter(name, output ? { output } : {})));
+    }
+
+    // Config entries are a name or a [name, options] pair
+    return Promise.all(this.config.reporters.map(entry => {
+      const [name, options = {}] = Array.isArray(entry) ? entry : [entry];
+      return createReporter(name, options, this.config.rootDir);
+    }));
+  }
+
+  /**
+   * Call a hook on every reporter that implements it
+   */
+  async notifyReporters(hook, payload) {
+    for (const reporter of this.reporters) {
+      if (typeof reporter[hook] === 'function') {
+        await reporter[hook](payload);
+      }
+    }
+  }
+
+  /**
+   * Run test files through a pool of worker processes
+   * @param {string[]} files - Test files to run
+   * @param {number} workers - Maximum number of files running at the same time
+   */
+  async runTestFiles(files, workers) {
+    // Every project runs every file, one project after the other
+    const queue = this.projects.flatMap(project => files.map(file => ({ file, project })));
+    const projects = this.projects.filter(project => project !== null);
+    await this.notifyReporters('onRunStart', { files, projects });
+
+    // With a single file at a time output can stream live, otherwise buffer it per file
+    const buffered = Math.min(workers, queue.length) > 1;
+
+    if (buffered) {
+      console.log(`Running ${queue.length} test files with ${Math.min(workers, queue.length)} workers...`);
+    }
+
+    let streamedProject = null;
+    const worker = async () => {
+      while (queue.length > 0) {
+        const { file: testFile, project } = queue.shift();
+        if (!buffered && project !== streamedProject) {
+          console.log(`\n🧩 Project ${project}`);
+          streamedProject = project;
+        }
+        const output = await this.runTestFile(testFile, { buffered, project });
+        if (buffered) {
+          this.printFileOutput(testFile, output, project);
+        }
+        await this.notifyReporters('onFileEnd', this.fileResults.find(result => result.file === testFile && (result.project ?? null) === project));
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(workers, queue.length) }, worker));
+
+    // Workers finish in any order, keep results in project and discovery order for the summary
+    const order = result => this.projects.indexOf(result.project ?? null) * files.length + files.indexOf(result.file);
+    this.fileResults.sort((a, b) => order(a) - order(b));
+  }
+
+  /**
+   * Print the buffered output of one test file as a single block
+   * @param {string} testFile - Path of the test file
+   * @param {Array<{stream: string, data: Buffer}>} output - Output chunks in the order they were written
+   * @param {string|null} project - Project the file ran for
+   */
+  printFileOutput(testFile, output, project) {
+    console.log(`\n📄 ${this.displayPath(testFile)}${project !== null ? ` (${project})` : ''}`);
+    for (const chunk of output) {
+      (chunk.stream === 'stderr' ? process.stderr : process.stdout).write(chunk.data);
+    }
+  }
+
+  /**
+   * Path of a test file relative to the current directory, for display
    */
-  isTestFile(filename) {
-    const testPatterns = [
-      /\.latte\.js$/,     // login.latte.js
-      /\.latte\.ts$/,     // login.latte.ts  
-      /\.latte\.tsx$/,    // login.latte.tsx
-      /\.test\.js$/,      // login.test.js
-      /\.test\.ts$/,      // login.test.ts
-      /\.test\.tsx$/,     // login.test.tsx
-      /\.spec\.js$/,      // login.spec.js
-      /\.spec\.ts$/,      // login.spec.ts
-      /\.spec\.tsx$/      // login.spec.tsx
-    ];
-    return testPatterns.some(pattern => pattern.test(filename));
-  }
-
-  async runTestFile(testFile) {
+  displayPath(file) {
+    return relative(process.cwd(), file).replace(/\\/g, '/');
+  }
+
+  /**
+   * Run one test file in its own Node.js process
+   * @param {string} testFile - Path of the test file
+   * @param {Object} options
+   * @param {boolean} [options.buffered] - Collect output instead of streaming it
+   * @param {string|null} [options.project] - Config project to run the file for
+   * @returns {Promise<Array<{stream: string, data: Buffer}>>} - Buffered output chunks (empty when streaming)
+   */
+  async runTestFile(testFile, { buffered = false, project = null } = {}) {
+    // Each child reports per-test events into its own side file
+    const eventsFile = join(tmpdir(), `latte-${process.pid}-${++this.spawnCount}.jsonl`);
+    removeEvents(eventsFile);
+    const output = [];
+    const runtimeEnv = toRuntimeEnv({ ...this.runtimeOptions, project, testFile: resolve(testFile) });
+
     return new Promise((resolve) => {
       const command = 'npx';
       const args = ['tsx',  '--no-warnings', testFile];
       
       const child = spawn(command, args, {
-        stdio: ['inherit', 'pipe', 'pipe'],
+        // Parallel children must not fight over the terminal's stdin,
+        // and in watch mode the CLI itself reads the keys
+        stdio: [buffered || process.stdin.isRaw ? 'ignore' : 'inherit', 'pipe', 'pipe'],
         cwd: process.cwd(),
         shell: true,
         env: { 
           ...process.env, 
           FORCE_COLOR: '1',
-          NODE_OPTIONS: '--no-warnings=MODULE_TYPELESS_PACKAGE_JSON'
+          NODE_OPTIONS: '--no-warnings=MODULE_TYPELESS_PACKAGE_JSON',
+          ...runtimeEnv,
+          [EVENTS_FILE_ENV]: eventsFile
         }
       });
 
-      let stdout = '';
       let stderr = '';
 
       child.stdout.on('data', (data) => {
-        const output = data.toString();
-        stdout += output;
-        process.stdout.write(data);
+        if (buffered) {
+          output.push({ stream: 'stdout', data });
+        } else {
+          process.stdout.write(data);
+        }
       });
       
       child.stderr.on('data', (data) => {
         stderr += data.toString();
-        process.stderr.write(data);
+        if (buffered) {
+          output.push({ stream: 'stderr', data });
+        } else {
+          process.stderr.write(data);
+        }
       });
       
       child.on('close', (code) => {
-        // Check for actual test failures in output
-        const hasTestFailures = stdout.includes('💥 Some tests failed') || 
-                               stderr.includes('Error:') || 
-                               stderr.includes('AssertionError');
-        
-        if (hasTestFailures || code !== 0) {
-          this.totalResults.failed++;
-          this.totalResults.total++;
-        } else {
-          this.totalResults.passed++;
-          this.totalResults.total++;
-        }
-        resolve();
+        const events = readEvents(eventsFile);
+        removeEvents(eventsFile);
+        this.recordFileResult(testFile, collectResults(events), code, stderr, project);
+        resolve(output);
       });
       
       child.on('error', (error) => {
-        console.error(`\n✗ Failed to spawn test process: ${error.message}`);
-        this.totalResults.failed++;
-        this.totalResults.total++;
-        resolve();
+        output.push({ stream: 'stderr', data: Buffer.from(`\n✗ Failed to spawn test process: ${error.message}\n`) });
+        if (!buffered) {
+          console.error(`\n✗ Failed to spawn test process: ${error.message}`);
+        }
+        removeEvents(eventsFile);
+        this.recordFileResult(testFile, collectResults([]), 1, error.message, project);
+        resolve(output);
+      });
+    });
+  }
+
+  /**
+   * Aggregate the per-test results reported by one test file
+   * @param {string} testFile - Path of the test file
+   * @param {{tests: Array, completed: boolean, duration: number}} fileResult - Results read from the child's events
+   * @param {number} exitCode - Exit code of the child process
+   * @param {string} stderr - Captured stderr, used to explain crashes
+   * @param {string|null} [project] - Config project the file ran for
+   */
+  recordFileResult(testFile, fileResult, exitCode, stderr, project = null) {
+    const tests = [...fileResult.tests];
+    const reportedFailure = tests.some(test => test.status === 'failed');
+    const crashed = exitCode !== 0 && !reportedFailure;
+    const interrupted = !fileResult.completed && tests.length > 0;
+
+    // The file never got to report a failure (syntax error, uncaught exception, process.exit...)
+    if (crashed || interrupted) {
+      tests.push({
+        description: this.displayPath(testFile),
+        passed: false,
+        status: 'failed',
+        error: this.describeCrash(exitCode, stderr),
+        duration: 0,
+        group: null,
+        logs: []
       });
+    }
+
+    for (const test of tests) {
+      this.totalResults[test.status]++;
+      this.totalResults.total++;
+      if (test.flaky) this.totalResults.flaky++;
+    }
+
+    this.fileResults.push({
+      file: testFile,
+      ...(project !== null ? { project } : {}),
+      tests,
+      duration: fileResult.duration,
+      exitCode
     });
   }
 
-  showFinalSummary() {
+  /**
+   * Build an error message for a test file that stopped without reporting results
+   */
+  describeCrash(exitCode, stderr) {
+    const errorLine = stderr
+      .replace(/\x1b\[[0-9;]*m/g, '') // strip colours forced by FORCE_COLOR
+      .split('\n')
+      .map(line => line.trim())
+      .find(line => /^\w*Error\b/.test(line));
+
+    return errorLine
+      ? `Test file crashed: ${errorLine}`
+      : `Test file exited with code ${exitCode} before reporting results`;
+  }
+
+  /**
+   * Clear the results of a previous run (watch mode runs many times)
+   */
+  resetResults() {
+    this.fileResults = [];
+    this.startTime = Date.now();
+    this.totalResults = {
+      passed: 0,
+      failed: 0,
+      skipped: 0,
+      todo: 0,
+      flaky: 0,
+      total: 0
+    };
+  }
+
+  async showFinalSummary() {
+    const passed = await this.printSummary();
+    if (!passed) {
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Notify reporters of the end of the run and print the totals
+   * @returns {Promise<boolean>} - True when no test failed
+   */
+  async printSummary() {
+    await this.notifyReporters('onRunEnd', {
+      ...this.totalResults,
+      duration: Date.now() - this.startTime,
+      startTime: this.startTime,
+      files: this.fileResults
+    });
+
     console.log('\n' + '─'.repeat(30));
-    console.log(`📊 ${this.totalResults.passed} passed, ${this.totalResults.failed} failed`);
+    const { passed, failed, skipped, todo, flaky } = this.totalResults;
+    const counts = [`${passed} passed`, `${failed} failed`];
+    if (flaky > 0) counts.push(`${flaky} flaky`);
+    if (skipped > 0) counts.push(`${skipped} skipped`);
+    if (todo > 0) counts.push(`${todo} todo`);
+    const fileCount = new Set(this.fileResults.map(result => result.file)).size;
+    console.log(`📊 ${counts.join(', ')} (${fileCount} file${fileCount === 1 ? '' : 's'})`);
+    this.printProjectSummary();
+
+    if (flaky > 0) {
+      console.log('\n⚠️  Flaky tests (passed only after a retry):');
+      for (const fileResult of this.fileResults) {
+        const project = fileResult.project ? `[${fileResult.project}] ` : '';
+        for (const test of fileResult.tests.filter(test => test.flaky)) {
+          console.log(`   • ${project}${this.displayPath(fileResult.file)} › ${test.fullTitle} (attempt ${test.attempts})`);
+        }
+      }
+    }
     
     if (this.totalResults.failed > 0) {
       console.log('❌ Tests failed');
-      process.exit(1);
-    } else {
-      console.log('✅ All tests passed');
+      return false;
+    }
+    console.log('✅ All tests passed');
+    return true;
+  }
+
+  /**
+   * One line of counts per project, when the run has projects
+   */
+  printProjectSummary() {
+    for (const project of this.projects.filter(project => project !== null)) {
+      const tests = this.fileResults
+        .filter(result => result.project === project)
+        .flatMap(result => result.tests);
+      const count = status => tests.filter(test => test.status === status).length;
+      const counts = [`${count('passed')} passed`, `${count('failed')} failed`];
+      if (count('skipped') > 0) counts.push(`${count('skipped')} skipped`);
+      if (count('todo') > 0) counts.push(`${count('todo')} todo`);
+      console.log(`   ${count('failed') > 0 ? '❌' : '✅'} ${project}: ${counts.join(', ')}`);
     }
   }
 
@@ -1,2 +1,2 @@
 // Main entry point for Latte framework
-export { latte, group, runTests, getTests, clearTests, BrowserApp, expect } from './src/index.js';
+export { latte, group, beforeEach, afterEach, beforeAll, afterAll, runTests, getTests, clearTests, BrowserApp, expect, Reporter, defineConfig, devices } from './src/index.js';
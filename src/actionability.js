@@ -0,0 +1,131 @@
+/**
+ * Actionability - wait until an element can really be clicked or typed into
+ *
+ * Like a user, an action waits for the element to be visible, stable
+ * (not animating), enabled and not covered by another element.
+ */
+
+export const CLICK_CHECKS = ['visible', 'stable', 'enabled', 'notObscured'];
+export const TYPE_CHECKS = ['visible', 'enabled', 'editable'];
+export const SELECT_CHECKS = ['visible', 'enabled'];
+export const HOVER_CHECKS = ['visible', 'stable', 'notObscured'];
+
+/**
+ * Check an element once - runs inside the page, so it must be self-contained
+ * @param {string} selector - CSS selector of the element
+ * @param {string[]} checks - Checks to run, in order
+ * @returns {Promise<{ok: boolean, reason?: string, detached?: boolean}>}
+ */
+export async function inspectElement(selector, checks) {
+  const element = document.querySelector(selector);
+  if (!element) return { ok: false, reason: 'was removed from the page', detached: true };
+
+  const describe = node => {
+    const id = node.id ? ` id="${node.id}"` : '';
+    const className = typeof node.className === 'string' && node.className.trim() ? ` class="${node.className.trim()}"` : '';
+    return `<${node.tagName.toLowerCase()}${id}${className}>`;
+  };
+
+  const nextFrame = () => new Promise(resolve => {
+    // Background tabs may not paint, don't wait forever for a frame
+    const timer = setTimeout(resolve, 50);
+    requestAnimationFrame(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+
+  const sameRect = (a, b) => a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+
+  for (const check of checks) {
+    if (check === 'visible') {
+      const style = window.getComputedStyle(element);
+      if (style.display === 'none') return { ok: false, reason: 'is not visible (display: none)' };
+      if (style.visibility === 'hidden') return { ok: false, reason: 'is not visible (visibility: hidden)' };
+      const rect = element.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) return { ok: false, reason: 'is not visible (it has no size)' };
+    }
+
+    if (check === 'enabled') {
+      const disabled = element.disabled ||
+        element.closest('fieldset[disabled]') !== null ||
+        element.closest('[aria-disabled="true"]') !== null;
+      if (disabled) return { ok: false, reason: 'is disabled' };
+    }
+
+    if (check === 'editable') {
+      const tag = element.tagName.toLowerCase();
+      const editable = element.isContentEditable || tag === 'textarea' ||
+        (tag === 'input' && !['button', 'submit', 'reset', 'checkbox', 'radio', 'file', 'image', 'hidden'].includes(element.type)) ||
+        tag === 'select';
+      if (!editable) return { ok: false, reason: `is not an editable field (${describe(element)})` };
+      if (element.readOnly || element.getAttribute('aria-readonly') === 'true') return { ok: false, reason: 'is read-only' };
+    }
+
+    if (check === 'stable') {
+      element.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
+      const before = element.getBoundingClientRect();
+      await nextFrame();
+      await nextFrame();
+      if (!sameRect(before, element.getBoundingClientRect())) return { ok: false, reason: 'is still moving (animation or transition)' };
+    }
+
+    if (check === 'notObscured') {
+      const rect = element.getBoundingClientRect();
+      if (rect.bottom < 0 || rect.right < 0 || rect.top > window.innerHeight || rect.left > window.innerWidth) {
+        element.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
+      }
+      const visibleRect = element.getBoundingClientRect();
+      const x = visibleRect.left + visibleRect.width / 2;
+      const y = visibleRect.top + visibleRect.height / 2;
+      const hit = document.elementFromPoint(x, y);
+
+      if (!hit) return { ok: false, reason: 'is outside of the visible page' };
+      // Clicking a child (icon in a button) or the element's own label is fine
+      const isLabel = hit.tagName === 'LABEL' && hit.control === element;
+      if (hit !== element && !element.contains(hit) && !isLabel) {
+        return { ok: false, reason: `is covered by ${describe(hit)}` };
+      }
+    }
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Wait until an element passes the actionability checks
+ * @param {import('puppeteer').Page|import('puppeteer').Frame} page - Page or iframe of the element
+ * @param {string} selector - CSS selector of the element
+ * @param {Object} options
+ * @param {string[]} options.checks - CLICK_CHECKS, TYPE_CHECKS...
+ * @param {number} options.timeout - Milliseconds to wait
+ * @param {Function} [options.relocate] - Find the element again when the page replaced it; returns a new selector
+ * @returns {Promise<string>} - Selector of the element (new one if it was relocated)
+ */
+export async function waitUntilActionable(page, selector, { checks, timeout, relocate }) {
+  const deadline = Date.now() + timeout;
+  let reason = 'was not checked';
+
+  while (true) {
+    let result;
+    try {
+      result = await page.evaluate(inspectElement, selector, checks);
+    } catch (error) {
+      result = { ok: false, reason: 'could not be checked while the page was loading' };
+    }
+
+    if (result.ok) return selector;
+    reason = result.reason;
+
+    if (Date.now() >= deadline) {
+      throw new Error(`element ${reason} (waited ${timeout}ms)`);
+    }
+
+    // Frameworks re-render: look the element up again instead of waiting on a removed one
+    if (result.detached && relocate) {
+      selector = await relocate();
+    } else {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+}
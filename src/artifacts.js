@@ -0,0 +1,89 @@
+import { createHash } from 'node:crypto';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join, relative, resolve } from 'node:path';
+
+/**
+ * Failure artifacts - keep the page state of a failed test for debugging
+ */
+
+const MAX_SLUG_LENGTH = 100;
+
+/**
+ * Turn a test title into a safe folder name
+ * @param {string} title - e.g. "Checkout › Payment › declined card"
+ * @returns {string} - e.g. "checkout-payment-declined-card"
+ */
+export function slugify(title) {
+  const slug = String(title)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  if (slug.length <= MAX_SLUG_LENGTH) return slug || 'test';
+
+  // Long titles often share their start (group path, latte.each rows): keep them apart
+  const hash = createHash('sha1').update(String(title)).digest('hex').slice(0, 8);
+  return `${slug.slice(0, MAX_SLUG_LENGTH - hash.length - 1).replace(/-+$/, '')}-${hash}`;
+}
+
+/**
+ * Folder of a test's artifacts: failure files, soft assertion and screenshot diff images
+ * Keyed by test file too, so same-named tests of other files, maybe running in parallel, keep theirs.
+ * @param {string|null} dir - Root artifacts directory (latte-artifacts/ when not set)
+ * @param {string|null} testFile - Path of the test file
+ * @param {string} title - Full title of the test
+ * @returns {string} - e.g. latte-artifacts/tests-checkout-test-js/checkout-pays-by-card
+ */
+export function testArtifactsDir(dir, testFile, title) {
+  const fileName = testFile ? slugify(relative(process.cwd(), testFile)) : 'tests';
+  return resolve(dir || 'latte-artifacts', fileName, slugify(title));
+}
+
+/**
+ * Save screenshot, HTML, URL, browser console and action log of a failed test
+ * Must be called before the browser is cleaned up. The runner empties the folder when the test starts.
+ * @param {import('./browser-app.js').BrowserApp} app - The failed test's app
+ * @param {Object} options
+ * @param {string} options.dir - Root artifacts directory
+ * @param {string|null} [options.testFile] - Path of the test file
+ * @param {string} options.title - Full title of the test, used as folder name
+ * @returns {Promise<Object|null>} - Paths of the saved files, null if the browser never started
+ */
+export async function saveFailureArtifacts(app, { dir, testFile = null, title }) {
+  if (!app || !app.page) return null;
+
+  const folder = testArtifactsDir(dir, testFile, title);
+  await mkdir(folder, { recursive: true });
+
+  const artifacts = {
+    dir: folder,
+    url: await app.getCurrentUrl()
+  };
+
+  const screenshotPath = join(folder, 'screenshot.png');
+  if (await app.screenshot(screenshotPath, { fullPage: true })) {
+    artifacts.screenshot = screenshotPath;
+  }
+
+  try {
+    const htmlPath = join(folder, 'page.html');
+    await writeFile(htmlPath, await app.page.content());
+    artifacts.html = htmlPath;
+  } catch (error) {
+    // Page crashed or is navigating, keep the other artifacts
+  }
+
+  // Console output and uncaught page errors, in the order they happened
+  const consoleLines = [
+    ...app.consoleMessages.map(m => ({ time: m.time, line: `[${m.time}] ${m.type}: ${m.text}` })),
+    ...app.pageErrors.map(e => ({ time: e.time, line: `[${e.time}] pageerror: ${e.stack || e.message}` }))
+  ].sort((a, b) => a.time.localeCompare(b.time));
+  const consolePath = join(folder, 'console.log');
+  await writeFile(consolePath, consoleLines.map(entry => entry.line).join('\n') + '\n');
+  artifacts.console = consolePath;
+
+  const logsPath = join(folder, 'actions.log');
+  await writeFile(logsPath, `URL: ${artifacts.url}\n\n` + app.getLogs().join('\n') + '\n');
+  artifacts.logs = logsPath;
+
+  return artifacts;
+}
@@ -1,55 +1,440 @@
-import puppeteer from 'puppeteer';
+import puppeteer, { PredefinedNetworkConditions } from 'puppeteer';
+import { existsSync } from 'node:fs';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { basename, dirname, join, resolve } from 'node:path';
+import { Network, buildMockResponse, toRequestInfo, describePattern, describeRequest } from './network.js';
+import { poll } from './wait.js';
+import { softly } from './soft.js';
+import { HarRecorder, HarReplayer } from './har.js';
+import { LATTE_ID_ATTRIBUTE, Locator, countElements, resolveLocator, testPattern } from './locators.js';
+import { CLICK_CHECKS, TYPE_CHECKS, SELECT_CHECKS, HOVER_CHECKS, waitUntilActionable } from './actionability.js';
+import { slugify } from './artifacts.js';
+import { decodePng, encodePng } from './png.js';
+import { compareImages } from './visual.js';
+import { findDevice } from './devices.js';
+
+// Marks the style and mask overlays added for matchScreenshot(), to remove them afterwards
+const SCREENSHOT_ATTRIBUTE = 'data-latte-screenshot';
+// failOn problems listed in a failure message, the rest are counted
+const MAX_LISTED_PROBLEMS = 10;
+const FAIL_ON = ['pageerror', 'requestfailed', '4xx', '5xx', 'console.error', 'console.warn', 'console.assert', 'console.info', 'console.log', 'console.debug'];
+
+// Options emulating a device or environment, from the test options or app.emulate()
+const EMULATION_OPTIONS = ['device', 'viewport', 'touch', 'deviceScaleFactor', 'userAgent', 'locale', 'timezone', 'geolocation', 'colorScheme', 'reducedMotion', 'network'];
+// Puppeteer's viewport when none is set
+const DEFAULT_VIEWPORT = { width: 800, height: 600 };
+const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+
+// sessionStorage key telling a tab its saved storage was already restored
+const STATE_MARKER = '__latteStateRestored';
 
 /**
  * BrowserApp - Real browser implementation using Puppeteer
  * Provides the same API as LatteApp but runs against real websites
  */
 export class BrowserApp {
-  constructor(options = {}) {
+  /**
+   * @param {Object} options - Browser options (headless, timeout, baseURL, viewport...)
+   * @param {Object} runtime - Set by the test runner
+   * @param {import('./browser-pool.js').BrowserPool} [runtime.pool] - Shared browsers; without it every app launches its own
+   */
+  constructor(options = {}, { pool = null } = {}) {
     this.browser = null;
+    this.context = null;
     this.page = null;
+    // Iframe entered with within(), null for the page itself
+    this.frame = null;
+    // Open tabs in opening order, and popups not yet returned by waitForPopup()
+    this.tabs = [];
+    this.popups = [];
+    this.openers = new Map();
+    this.pool = pool;
     this.logs = [];
+    this.consoleMessages = [];
+    this.pageErrors = [];
+    this.dialogs = [];
+    this.dialogAction = null;
+    // Device and environment settings, applied to every tab (see emulate())
+    this.emulation = {};
+    this.cdpSessions = new Map();
+    // Storage of a restored state, for every tab this test opens (see restoreState())
+    this.savedOrigins = [];
+    this.network = new Network();
+    this.harRecorder = null;
+    this.harReplayer = null;
     this.options = {
       headless: options.headless !== false, // Default to headless
       timeout: options.timeout || 5000,
       ...options
     };
+    checkFailOn(this.options.failOn);
+  }
+
+  /**
+   * The same app, but failed see...() and dontSee...() assertions are recorded
+   * and the test continues, e.g. await app.soft.see('Free shipping')
+   * @returns {BrowserApp}
+   */
+  get soft() {
+    return softly(this, { wrap: name => /^(see|dontSee)/.test(name) });
+  }
+
+  /**
+   * Where elements are looked up: the iframe entered with within(), or the current tab
+   * @returns {import('puppeteer').Page|import('puppeteer').Frame}
+   */
+  get scope() {
+    return this.frame || this.page;
   }
 
   async init() {
     if (!this.browser) {
-      this.browser = await puppeteer.launch({ 
+      const launchOptions = {
         headless: this.options.headless,
-        timeout: this.options.timeout 
-      });
-      this.page = await this.browser.newPage();
-      
-      // Set default timeout
-      this.page.setDefaultTimeout(this.options.timeout);
+        timeout: this.options.timeout
+      };
+
+      // Custom launch args need a browser of their own
+      if (this.pool && !this.options.dedicatedBrowser && !this.options.launchArgs) {
+        // Keyed on headless only, so tests with different timeouts share a browser
+        this.browser = await this.pool.acquire({ headless: this.options.headless });
+        // Incognito context: cookies and storage are isolated from other tests
+        this.context = await this.browser.createBrowserContext();
+        this.page = await this.context.newPage();
+      } else {
+        this.browser = await puppeteer.launch({ ...launchOptions, args: this.options.launchArgs });
+        this.page = await this.browser.newPage();
+      }
+
+      await this.watchTab(this.page);
+
+      this.emulation = Object.fromEntries(EMULATION_OPTIONS
+        .filter(name => this.options[name] !== undefined && this.options[name] !== null)
+        .map(name => [name, this.options[name]]));
+      if (Object.keys(this.emulation).length > 0) {
+        await this.applyEmulation(this.page, this.emulation);
+      }
+
+      if (this.options.state) {
+        await this.restoreState(this.options.state);
+      }
+
+      if (this.options.har) {
+        await this.startHar(this.options.har);
+      }
       
       this.log('Browser initialized');
     }
   }
 
   async cleanup() {
-    if (this.browser) {
-      await this.browser.close();
+    // Tabs closing from here on are not the test's doing
+    this.tabs = [];
+    this.popups = [];
+
+    try {
+      if (this.harRecorder) {
+        // Responses are still readable until the context closes
+        const recorder = this.harRecorder;
+        this.harRecorder = null;
+        await recorder.save();
+        this.log(`✓ HAR saved: ${recorder.path}`);
+      }
+    } finally {
+      if (this.context) {
+        // The browser is shared, only close this test's context
+        await this.context.close();
+        this.log('Browser context closed');
+      } else if (this.browser) {
+        await this.browser.close();
+        this.log('Browser closed');
+      }
       this.browser = null;
+      this.context = null;
       this.page = null;
-      this.log('Browser closed');
+      this.frame = null;
+      this.cdpSessions.clear();
+    }
+  }
+
+  /**
+   * Follow a tab of this test: console output, requests, dialogs and the popups it opens
+   * @param {import('puppeteer').Page} page
+   */
+  async watchTab(page) {
+    this.tabs.push(page);
+    page.setDefaultTimeout(this.options.timeout);
+
+    // Keep the browser console output (saved with failure artifacts)
+    page.on('console', message => {
+      this.consoleMessages.push({
+        time: new Date().toISOString(),
+        type: message.type(),
+        text: message.text(),
+        url: page.url()
+      });
+      this.log(`Console ${message.type()}: ${message.text()}`);
+    });
+
+    // Uncaught exceptions and unhandled rejections of the page's scripts
+    page.on('pageerror', error => {
+      const message = error instanceof Error ? error.message : String(error);
+      this.pageErrors.push({
+        time: new Date().toISOString(),
+        message,
+        stack: error instanceof Error ? error.stack : null,
+        url: page.url()
+      });
+      this.log(`✗ Page error: ${message}`);
+    });
+
+    page.on('requestfailed', request => {
+      const failure = request.failure() ? request.failure().errorText : 'failed';
+      // blockRequests() and mocks log the requests they abort
+      if (failure === 'net::ERR_BLOCKED_BY_CLIENT') return;
+      this.log(`✗ Request failed: ${request.method()} ${request.url()} (${failure})`);
+    });
+
+    page.on('response', response => {
+      if (response.status() >= 400) {
+        this.log(`✗ HTTP ${response.status()}: ${response.request().method()} ${response.url()}`);
+      }
+    });
+
+    // An unanswered alert() or confirm() would block the page until the timeout
+    page.on('dialog', dialog => {
+      this.answerDialog(dialog).catch(error => {
+        this.log(`✗ Could not answer ${dialog.type()} dialog - ${error.message}`);
+      });
+    });
+
+    page.on('popup', popup => {
+      if (!popup) return;
+      this.openers.set(popup, page);
+      this.popups.push(popup);
+      this.log(`New tab opened: ${popup.url()}`);
+      // Popups are the same device as the tab that opened them
+      this.watchTab(popup).then(() => this.applyEmulation(popup, this.emulation)).catch(() => {
+        // The popup closed right away
+      });
+    });
+
+    page.once('close', () => this.tabClosed(page));
+
+    // Record requests for waitForRequest/seeRequest and answer mocked ones
+    await this.network.attach(page);
+    if (this.harRecorder) this.harRecorder.attach(page);
+    // Popups may open another site of the saved state, like an OAuth provider
+    if (this.savedOrigins.length > 0) {
+      await page.evaluateOnNewDocument(restoreStorage, this.savedOrigins, STATE_MARKER);
+    }
+  }
+
+  /**
+   * Forget a closed tab; if the test was in it, continue in the tab that opened it
+   * (OAuth and payment popups close themselves once done)
+   * @param {import('puppeteer').Page} page
+   */
+  tabClosed(page) {
+    if (!this.tabs.includes(page)) return;
+    this.tabs = this.tabs.filter(tab => tab !== page);
+    this.popups = this.popups.filter(popup => popup !== page);
+    this.cdpSessions.delete(page);
+
+    if (this.page === page && this.tabs.length > 0) {
+      const opener = this.openers.get(page);
+      this.page = this.tabs.includes(opener) ? opener : this.tabs[this.tabs.length - 1];
+      this.frame = null;
+      this.log(`Tab closed, back to ${this.page.url()}`);
+    }
+    this.openers.delete(page);
+  }
+
+  /**
+   * Record the page traffic into a HAR file, or answer requests from one
+   * @param {Object} har - { mode: 'record'|'replay', path, ignoreQuery, matchBody }
+   */
+  async startHar({ mode, path, ignoreQuery, matchBody }) {
+    if (mode === 'record') {
+      this.harRecorder = new HarRecorder(path);
+      this.harRecorder.attach(this.page);
+      this.log(`Recording network traffic to ${path}`);
+    } else if (mode === 'replay') {
+      this.harReplayer = await HarReplayer.load(path, { ignoreQuery, matchBody });
+      this.log(`Replaying network traffic from ${path}`);
+
+      // Added first, so app.mock() calls made by the test still win
+      await this.network.route(url => /^https?:/.test(url), request => {
+        const response = this.harReplayer.responseFor({
+          method: request.method,
+          url: request.url,
+          postData: request.request.postData()
+        });
+        if (!response) {
+          this.log(`✗ Not in HAR recording: ${request.method} ${request.url}`);
+          return { action: 'abort' };
+        }
+        return { action: 'respond', response };
+      });
+    }
+  }
+
+  /**
+   * Fail when a replayed test sent requests that are not in its HAR file
+   * Called by the test runner once the test is done.
+   */
+  checkUnmatchedRequests() {
+    if (!this.harReplayer || this.harReplayer.unmatched.length === 0) return;
+
+    const requests = [...new Set(this.harReplayer.unmatched)];
+    throw new Error(`${requests.length} request${requests.length === 1 ? ' was' : 's were'} not found in ${this.harReplayer.path}:\n${requests.map(request => `  ${request}`).join('\n')}\nRecord the test again with --record-har, or relax the har matching options in latte.config`);
+  }
+
+  /**
+   * Save cookies, localStorage, sessionStorage and IndexedDB of the open tabs,
+   * so other tests can start logged in with the state option
+   * @param {string} file - JSON file to write, e.g. ".auth/admin.json"
+   * @returns {Promise<Object>} - The saved state
+   */
+  async saveState(file) {
+    if (!this.page) {
+      throw new Error('Browser not initialized. Call open() first.');
+    }
+    this.log(`Saving browser state to ${file}`);
+
+    try {
+      const cookies = (await (this.context || this.browser).cookies()).map(cookie => {
+        const { name, value, domain, path, expires, httpOnly, secure, sameSite } = cookie;
+        // Session cookies have no expiry date
+        return { name, value, domain, path, ...(cookie.session ? {} : { expires }), httpOnly, secure, sameSite };
+      });
+
+      // The current tab first: its sessionStorage wins when several tabs show the same site
+      const origins = [];
+      for (const tab of [this.page, ...this.tabs.filter(tab => tab !== this.page)]) {
+        const storage = await tab.evaluate(readStorage, STATE_MARKER);
+        if (storage && !origins.some(saved => saved.origin === storage.origin)) origins.push(storage);
+      }
+
+      const state = { cookies, origins };
+      await mkdir(dirname(resolve(file)), { recursive: true });
+      await writeFile(resolve(file), `${JSON.stringify(state, null, 2)}\n`);
+      this.log(`✓ Saved ${cookies.length} cookie${cookies.length === 1 ? '' : 's'} and the storage of ${origins.map(saved => saved.origin).join(', ') || 'no site'} to ${file}`);
+      return state;
+    } catch (error) {
+      this.log(`✗ Failed to save browser state - ${error.message}`);
+      throw new Error(`Failed to save browser state to ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start from a state saved by saveState(): cookies are set right away,
+   * storage is restored when a tab first opens a page of the same site
+   * @param {string|Object} state - State file (relative to the current directory) or the state itself
+   */
+  async restoreState(state) {
+    let saved = state;
+    if (typeof state === 'string') {
+      const file = resolve(state);
+      if (!existsSync(file)) {
+        throw new Error(`State file not found: ${state}. Save it with app.saveState(), or the auth option in latte.config`);
+      }
+      try {
+        saved = JSON.parse(await readFile(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Invalid state file ${state}: ${error.message}`);
+      }
+    }
+
+    const { cookies = [], origins = [] } = saved;
+    if (cookies.length > 0) {
+      await (this.context || this.browser).setCookie(...cookies);
+    }
+    this.savedOrigins = origins;
+    if (origins.length > 0) {
+      for (const tab of this.tabs) {
+        await tab.evaluateOnNewDocument(restoreStorage, origins, STATE_MARKER);
+      }
+    }
+    this.log(`✓ Restored ${cookies.length} cookie${cookies.length === 1 ? '' : 's'} and the storage of ${origins.length} site${origins.length === 1 ? '' : 's'}${typeof state === 'string' ? ` from ${state}` : ''}`);
+  }
+
+  /**
+   * Fail when the page misbehaved in a way the failOn option lists
+   * Called by the test runner once the test is done.
+   */
+  checkPageErrors() {
+    const problems = this.findPageErrors();
+    if (problems.length === 0) return;
+
+    const shown = problems.slice(0, MAX_LISTED_PROBLEMS).map(problem => `  ${problem.kind}: ${problem.text}`);
+    if (problems.length > MAX_LISTED_PROBLEMS) {
+      shown.push(`  ...and ${problems.length - MAX_LISTED_PROBLEMS} more`);
+    }
+    throw new Error(`The page had ${problems.length} problem${problems.length === 1 ? '' : 's'} (failOn: ${this.options.failOn.join(', ')}):\n${shown.join('\n')}\nFix ${problems.length === 1 ? 'it' : 'them'}, or add the expected ones to the allowErrors option`);
+  }
+
+  /**
+   * Page errors, console messages and responses matching the failOn option, minus allowErrors
+   * @returns {Array<{kind: string, text: string}>}
+   */
+  findPageErrors() {
+    const failOn = this.options.failOn || [];
+    const allowed = [].concat(this.options.allowErrors || []);
+    const problems = [];
+
+    if (failOn.includes('pageerror')) {
+      problems.push(...this.pageErrors.map(error => ({ kind: 'pageerror', text: error.message })));
+    }
+    for (const message of this.consoleMessages) {
+      if (failOn.includes(`console.${message.type}`)) {
+        problems.push({ kind: `console.${message.type}`, text: message.text });
+      }
+    }
+    for (const record of this.network.requests) {
+      // Mocked and blocked requests are what the test asked for
+      if (record.handledBy) continue;
+      const statusClass = record.response ? `${Math.floor(record.response.status / 100)}xx` : null;
+      if (statusClass && failOn.includes(statusClass)) {
+        problems.push({ kind: statusClass, text: `${record.response.status} ${record.method} ${record.url}` });
+      } else if (record.failure && failOn.includes('requestfailed')) {
+        problems.push({ kind: 'requestfailed', text: `${record.method} ${record.url} (${record.failure})` });
+      }
     }
+
+    return problems.filter(problem => !allowed.some(pattern => containsText(problem.text, pattern)));
+  }
+
+  /**
+   * Console messages of the page, e.g. getConsoleMessages('error')
+   * @param {string} [type] - Only messages of this type: 'log', 'error', 'warn', 'info'...
+   * @returns {Array<{time: string, type: string, text: string, url: string}>}
+   */
+  getConsoleMessages(type) {
+    return this.consoleMessages.filter(message => !type || message.type === type);
+  }
+
+  /**
+   * Uncaught exceptions and unhandled promise rejections of the page
+   * @returns {Array<{time: string, message: string, stack: string|null, url: string}>}
+   */
+  getPageErrors() {
+    return [...this.pageErrors];
   }
 
   /**
    * Navigate to a URL (real browser navigation)
-   * @param {string} url - The URL to navigate to
+   * @param {string} url - The URL to navigate to, relative to the baseURL option if set
    */
   async open(url) {
     await this.init();
     this.log(`Opening: ${url}`);
     
     try {
-      await this.page.goto(url, { waitUntil: 'networkidle2' });
+      if (this.emulation.geolocation) {
+        await this.allowGeolocation(this.resolveUrl(url));
+      }
+      await this.page.goto(this.resolveUrl(url), { waitUntil: 'networkidle2' });
       this.log(`✓ Opened: ${url}`);
     } catch (error) {
       this.log(`✗ Failed to open: ${url} - ${error.message}`);
@@ -57,18 +442,50 @@ export class BrowserApp {
     }
   }
 
+  /**
+   * Resolve a URL against the baseURL option (e.g. "/login" -> "https://staging.example.com/login")
+   * @param {string} url - Absolute or relative URL
+   * @returns {string} - Absolute URL
+   */
+  resolveUrl(url) {
+    // Absolute URLs (https:, http:, data:, file:, about:...) are used as-is
+    if (!this.options.baseURL || /^[a-z][a-z0-9+.-]*:/i.test(url)) {
+      return url;
+    }
+    return new URL(url, this.options.baseURL).href;
+  }
+
   /**
    * Type text into an element
-   * @param {string} selector - CSS selector, data-test-id, aria-label, or element identifier
+   * @param {string|Locator} selector - Locator, CSS selector, test id, label, placeholder or element identifier
    * @param {string} value - Text to type
+   * @param {Object} [options]
+   * @param {boolean} [options.clear] - Replace the current value instead of typing after it
+   * @param {number} [options.delay] - Milliseconds between key presses
    */
-  async type(selector, value) {
+  async type(selector, value, { clear = false, delay = 0 } = {}) {
     const resolvedSelector = await this.findElement(selector);
-    this.log(`Typing "${value}" into ${selector}`);
+    this.log(`Typing "${value}" into ${selector}${clear ? ' (replacing its value)' : ''}`);
     
     try {
-      await this.page.focus(resolvedSelector);
-      await this.page.keyboard.type(value);
+      const actionableSelector = await this.waitUntilActionable(selector, resolvedSelector, TYPE_CHECKS);
+      await this.scope.focus(actionableSelector);
+      if (clear) {
+        await this.scope.evaluate(sel => {
+          const element = document.querySelector(sel);
+          if (typeof element.select === 'function') {
+            element.select();
+          } else {
+            // contenteditable: select all of its content
+            const range = document.createRange();
+            range.selectNodeContents(element);
+            window.getSelection().removeAllRanges();
+            window.getSelection().addRange(range);
+          }
+        }, actionableSelector);
+        await this.page.keyboard.press('Backspace');
+      }
+      await this.page.keyboard.type(value, { delay });
       this.log(`✓ Typed "${value}" into ${selector}`);
     } catch (error) {
       this.log(`✗ Failed to type into ${selector} - ${error.message}`);
@@ -78,14 +495,19 @@ export class BrowserApp {
 
   /**
    * Click an element
-   * @param {string} selector - CSS selector, data-test-id, aria-label, or element identifier
+   * @param {string|Locator} selector - Locator, CSS selector, test id, button text, label or element identifier
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Click right away, without waiting for the element to be visible, enabled and uncovered
    */
-  async click(selector) {
+  async click(selector, { force = false } = {}) {
     const resolvedSelector = await this.findElement(selector);
     this.log(`Clicking: ${selector}`);
     
     try {
-      await this.page.click(resolvedSelector);
+      const actionableSelector = force
+        ? resolvedSelector
+        : await this.waitUntilActionable(selector, resolvedSelector, CLICK_CHECKS);
+      await this.scope.click(actionableSelector);
       this.log(`✓ Clicked: ${selector}`);
     } catch (error) {
       this.log(`✗ Failed to click ${selector} - ${error.message}`);
@@ -94,282 +516,1510 @@ export class BrowserApp {
   }
 
   /**
-   * Assert that text/content is visible on the page
-   * @param {string} text - Text, HTML, or selector that should be present
+   * Choose options in a <select>
+   * @param {string|Locator} selector - The dropdown
+   * @param {string|string[]} option - Option value or visible label (several for a multiple select)
+   * @returns {Promise<string[]>} - Values of the selected options
    */
-  async see(text) {
-    this.log(`Looking for: "${text}"`);
-    
+  async select(selector, option) {
+    const wanted = Array.isArray(option) ? option.map(String) : [String(option)];
+    const resolvedSelector = await this.findElement(selector);
+    this.log(`Selecting ${wanted.map(value => `"${value}"`).join(', ')} in ${selector}`);
+
     try {
-      // Enhanced search strategy - try multiple approaches
-      await this.page.waitForFunction(
-        (searchText) => {
-          // Strategy 1: Check if it's a CSS selector
-          if (searchText.startsWith('.') || searchText.startsWith('#') || searchText.includes('[')) {
-            try {
-              return document.querySelector(searchText) !== null;
-            } catch (e) {
-              // Not a valid selector, continue to text search
-            }
-          }
-          
-          // Strategy 2: Check visible text content (most common)
-          if (document.body.innerText.includes(searchText)) {
-            return true;
-          }
-          
-          // Strategy 3: Check HTML content (for tags like <h6>Log In</h6>)
-          if (document.body.innerHTML.includes(searchText)) {
-            return true;
-          }
-          
-          // Strategy 4: Check for ARIA labels and attributes
-          const elementsWithAria = document.querySelectorAll('[aria-label*="' + searchText + '"], [aria-labelledby*="' + searchText + '"], [title*="' + searchText + '"]');
-          if (elementsWithAria.length > 0) {
-            return true;
-          }
-          
-          // Strategy 5: Check for text in all text nodes (case-insensitive)
-          const walker = document.createTreeWalker(
-            document.body,
-            NodeFilter.SHOW_TEXT,
-            null,
-            false
-          );
-          
-          let node;
-          while (node = walker.nextNode()) {
-            if (node.textContent.toLowerCase().includes(searchText.toLowerCase())) {
-              return true;
-            }
+      const actionableSelector = await this.waitUntilActionable(selector, resolvedSelector, SELECT_CHECKS);
+      const result = await this.scope.evaluate((sel, wantedOptions) => {
+        const element = document.querySelector(sel);
+        if (element.tagName !== 'SELECT') return { error: `element is not a <select> (it is a <${element.tagName.toLowerCase()}>)` };
+
+        const options = [...element.options];
+        const normalize = text => text.replace(/\s+/g, ' ').trim().toLowerCase();
+        const values = [];
+        const missing = [];
+        for (const wantedOption of wantedOptions) {
+          const match = options.find(candidate => candidate.value === wantedOption) ||
+            options.find(candidate => normalize(candidate.label) === normalize(wantedOption));
+          if (match) {
+            values.push(match.value);
+          } else {
+            missing.push(`"${wantedOption}"`);
           }
-          
-          return false;
-        },
-        { timeout: this.options.timeout },
-        text
-      );
-      this.log(`✓ Found: "${text}"`);
+        }
+
+        if (missing.length > 0) {
+          return { error: `no option ${missing.join(', ')}. Available options: ${options.map(candidate => `"${candidate.label.trim()}"`).join(', ')}` };
+        }
+        if (values.length > 1 && !element.multiple) return { error: 'only one option can be selected in this dropdown' };
+        return { values };
+      }, actionableSelector, wanted);
+
+      if (result.error) throw new Error(result.error);
+      await this.scope.select(actionableSelector, ...result.values);
+      this.log(`✓ Selected ${wanted.map(value => `"${value}"`).join(', ')} in ${selector}`);
+      return result.values;
     } catch (error) {
-      this.log(`✗ Text "${text}" not found on page`);
-      throw new Error(`Expected to see "${text}" but it was not found on the page`);
+      this.log(`✗ Failed to select in ${selector} - ${error.message}`);
+      throw new Error(`Failed to select ${wanted.map(value => `"${value}"`).join(', ')} in ${selector}: ${error.message}`);
     }
   }
 
   /**
-   * Get current page content (for debugging)
+   * Check a checkbox or radio button (does nothing if it already is)
+   * @param {string|Locator} selector - The checkbox, e.g. its label text
    */
-  async getContent() {
-    if (!this.page) return '';
+  async check(selector) {
+    await this.setChecked(selector, true);
+  }
+
+  /**
+   * Uncheck a checkbox (does nothing if it already is)
+   * @param {string|Locator} selector - The checkbox, e.g. its label text
+   */
+  async uncheck(selector) {
+    await this.setChecked(selector, false);
+  }
+
+  async setChecked(selector, checked) {
+    const action = checked ? 'check' : 'uncheck';
+    const resolvedSelector = await this.findElement(selector);
+    this.log(`${checked ? 'Checking' : 'Unchecking'}: ${selector}`);
+
+    const readState = sel => {
+      const element = document.querySelector(sel);
+      if (element.tagName === 'INPUT' && (element.type === 'checkbox' || element.type === 'radio')) {
+        return { kind: element.type, checked: element.checked };
+      }
+      const role = element.getAttribute('role');
+      if (['checkbox', 'radio', 'switch', 'menuitemcheckbox'].includes(role)) {
+        return { kind: role, checked: element.getAttribute('aria-checked') === 'true' };
+      }
+      return { kind: null, tag: element.tagName.toLowerCase() };
+    };
+
     try {
-      return await this.page.evaluate(() => document.body.innerText);
+      const state = await this.scope.evaluate(readState, resolvedSelector);
+      if (!state.kind) throw new Error(`element is not a checkbox or radio button (it is a <${state.tag}>)`);
+      if (state.checked === checked) {
+        this.log(`✓ Already ${checked ? 'checked' : 'unchecked'}: ${selector}`);
+        return;
+      }
+      if (!checked && state.kind === 'radio') {
+        throw new Error('a radio button cannot be unchecked, check another option instead');
+      }
+
+      // Styled checkboxes often hide the input and show its label instead
+      const labelSelector = await this.scope.evaluate((sel, idAttribute) => {
+        const element = document.querySelector(sel);
+        const rect = element.getBoundingClientRect();
+        const style = window.getComputedStyle(element);
+        const hidden = rect.width === 0 || rect.height === 0 || style.visibility === 'hidden' || style.opacity === '0';
+        const label = element.labels && element.labels[0];
+        if (!hidden || !label) return null;
+        if (!label.hasAttribute(idAttribute)) {
+          window.__latteNextId = (window.__latteNextId || 0) + 1;
+          label.setAttribute(idAttribute, String(window.__latteNextId));
+        }
+        return `[${idAttribute}="${label.getAttribute(idAttribute)}"]`;
+      }, resolvedSelector, LATTE_ID_ATTRIBUTE);
+
+      const clickSelector = labelSelector
+        ? await waitUntilActionable(this.scope, labelSelector, { checks: CLICK_CHECKS, timeout: this.options.timeout })
+        : await this.waitUntilActionable(selector, resolvedSelector, CLICK_CHECKS);
+      await this.scope.click(clickSelector);
+
+      const after = await this.scope.evaluate(readState, resolvedSelector);
+      if (after.checked !== checked) throw new Error(`clicking it did not ${action} it`);
+      this.log(`✓ ${checked ? 'Checked' : 'Unchecked'}: ${selector}`);
     } catch (error) {
-      return '';
+      this.log(`✗ Failed to ${action} ${selector} - ${error.message}`);
+      throw new Error(`Failed to ${action} ${selector}: ${error.message}`);
     }
   }
 
   /**
-   * Get current page URL (for debugging)
+   * Upload files through a file input, or a button that opens the file chooser
+   * @param {string|Locator} selector - The file input or upload button
+   * @param {string|string[]} files - Paths of the files, relative to the current directory
    */
-  async getCurrentUrl() {
-    if (!this.page) return '';
+  async upload(selector, files) {
+    const paths = (Array.isArray(files) ? files : [files]).map(file => resolve(file));
+    const resolvedSelector = await this.findElement(selector);
+    this.log(`Uploading ${paths.map(path => basename(path)).join(', ')} to ${selector}`);
+
     try {
-      return this.page.url();
+      const missing = paths.filter(path => !existsSync(path));
+      if (missing.length > 0) throw new Error(`file not found: ${missing.join(', ')}`);
+
+      const isFileInput = await this.scope.evaluate(sel => {
+        const element = document.querySelector(sel);
+        return element.tagName === 'INPUT' && element.type === 'file';
+      }, resolvedSelector);
+
+      if (isFileInput) {
+        // File inputs are often hidden behind a styled button, no actionability checks needed
+        const input = await this.scope.$(resolvedSelector);
+        await input.uploadFile(...paths);
+      } else {
+        const actionableSelector = await this.waitUntilActionable(selector, resolvedSelector, CLICK_CHECKS);
+        const [chooser] = await Promise.all([
+          this.page.waitForFileChooser({ timeout: this.options.timeout }),
+          this.scope.click(actionableSelector)
+        ]);
+        await chooser.accept(paths);
+      }
+      this.log(`✓ Uploaded ${paths.map(path => basename(path)).join(', ')} to ${selector}`);
     } catch (error) {
-      return '';
+      this.log(`✗ Failed to upload to ${selector} - ${error.message}`);
+      throw new Error(`Failed to upload to ${selector}: ${error.message}`);
     }
   }
 
   /**
-   * Take a screenshot (for debugging)
-   * @param {string} path - Path to save screenshot
+   * Move the mouse over an element (menus, tooltips)
+   * @param {string|Locator} selector - Element to hover
    */
-  async screenshot(path) {
-    if (!this.page) return;
+  async hover(selector) {
+    const resolvedSelector = await this.findElement(selector);
+    this.log(`Hovering: ${selector}`);
+
     try {
-      await this.page.screenshot({ path });
-      this.log(`✓ Screenshot saved: ${path}`);
+      const actionableSelector = await this.waitUntilActionable(selector, resolvedSelector, HOVER_CHECKS);
+      await this.scope.hover(actionableSelector);
+      this.log(`✓ Hovered: ${selector}`);
     } catch (error) {
-      this.log(`✗ Failed to take screenshot: ${error.message}`);
+      this.log(`✗ Failed to hover ${selector} - ${error.message}`);
+      throw new Error(`Failed to hover ${selector}: ${error.message}`);
     }
   }
 
   /**
-   * Set the browser resolution (viewport size)
-   * @param {number} width - Resolution width in pixels
-   * @param {number} height - Resolution height in pixels
+   * Press a key or shortcut, e.g. "Enter", "Escape", "Control+Enter", "Shift+Tab"
+   * "ControlOrMeta" is Meta (Cmd) on macOS and Control elsewhere.
+   * @param {string} keys - Key names joined with "+"
+   * @param {string|Locator} [selector] - Focus this element first
    */
-  async resolution(width, height) {
-    await this.init();
-    this.log(`Setting resolution to ${width}x${height}`);
-    
+  async press(keys, selector = null) {
+    this.log(`Pressing ${keys}${selector ? ` in ${selector}` : ''}`);
+
     try {
-      await this.page.setViewport({ width, height });
-      this.log(`✓ Resolution set to ${width}x${height}`);
+      if (selector) {
+        const resolvedSelector = await this.findElement(selector);
+        await this.scope.focus(await this.waitUntilActionable(selector, resolvedSelector, SELECT_CHECKS));
+      }
+
+      // "Control++" is Control and the "+" key
+      const parts = keys.match(/[^+]+|\+(?=$)/g) || [];
+      const modifiers = parts.slice(0, -1).map(normalizeKey);
+      const key = normalizeKey(parts[parts.length - 1] || '');
+
+      for (const modifier of modifiers) {
+        await this.page.keyboard.down(modifier);
+      }
+      try {
+        await this.page.keyboard.press(key);
+      } finally {
+        for (const modifier of modifiers.reverse()) {
+          await this.page.keyboard.up(modifier);
+        }
+      }
+      this.log(`✓ Pressed ${keys}`);
     } catch (error) {
-      this.log(`✗ Failed to set resolution: ${error.message}`);
-      throw new Error(`Failed to set resolution to ${width}x${height}: ${error.message}`);
+      this.log(`✗ Failed to press ${keys} - ${error.message}`);
+      throw new Error(`Failed to press ${keys}: ${error.message}`);
     }
   }
 
   /**
-   * Get the current resolution (viewport dimensions)
-   * @returns {Promise<{width: number, height: number}>} Current resolution
+   * Drag an element and drop it on another one
+   * @param {string|Locator} source - Element to drag
+   * @param {string|Locator} target - Element to drop it on
    */
-  async getResolution() {
-    if (!this.page) {
-      throw new Error('Browser not initialized. Call open() first.');
-    }
-    
+  async dragTo(source, target) {
+    const sourceSelector = await this.findElement(source);
+    const targetSelector = await this.findElement(target);
+    this.log(`Dragging ${source} to ${target}`);
+
     try {
-      const viewport = this.page.viewport();
-      this.log(`Current resolution: ${viewport.width}x${viewport.height}`);
-      return viewport;
+      const from = await this.waitUntilActionable(source, sourceSelector, HOVER_CHECKS);
+      const to = await this.waitUntilActionable(target, targetSelector, ['visible']);
+      // Bounding boxes are relative to the page, also for elements inside an iframe
+      const center = async sel => {
+        const box = await (await this.scope.$(sel)).boundingBox();
+        return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+      };
+
+      const start = await center(from);
+      await this.page.mouse.move(start.x, start.y);
+      await this.page.mouse.down();
+      // A first small move starts the drag in most drag-and-drop libraries
+      await this.page.mouse.move(start.x + 5, start.y + 5);
+      const end = await center(to);
+      await this.page.mouse.move(end.x, end.y, { steps: 10 });
+      await this.page.mouse.up();
+      this.log(`✓ Dragged ${source} to ${target}`);
     } catch (error) {
-      this.log(`✗ Failed to get resolution: ${error.message}`);
-      throw new Error(`Failed to get resolution: ${error.message}`);
+      this.log(`✗ Failed to drag ${source} to ${target} - ${error.message}`);
+      throw new Error(`Failed to drag ${source} to ${target}: ${error.message}`);
     }
   }
 
   /**
-   * Wait for a specific amount of time
-   * @param {number} ms - Milliseconds to wait
+   * Fill a whole form: text fields are replaced, dropdowns selected,
+   * checkboxes and radio buttons checked (true) or unchecked (false), file inputs uploaded
+   * @param {Object} fields - Field (label, name, placeholder, selector...) to value
    */
-  async wait(ms) {
-    this.log(`Waiting ${ms}ms`);
-    await new Promise(resolve => setTimeout(resolve, ms));
+  async fill(fields) {
+    const names = Object.keys(fields);
+    this.log(`Filling form: ${names.join(', ')}`);
+
+    for (const [field, value] of Object.entries(fields)) {
+      const resolvedSelector = await this.findElement(field);
+      const kind = await this.scope.evaluate(sel => {
+        const element = document.querySelector(sel);
+        if (element.tagName === 'SELECT') return 'select';
+        if (element.tagName === 'INPUT' && ['checkbox', 'radio', 'file'].includes(element.type)) return element.type;
+        if (['checkbox', 'radio', 'switch'].includes(element.getAttribute('role'))) return 'checkbox';
+        return 'text';
+      }, resolvedSelector);
+
+      if (kind === 'select') {
+        await this.select(field, value);
+      } else if (kind === 'checkbox' || kind === 'radio') {
+        await this.setChecked(field, Boolean(value));
+      } else if (kind === 'file') {
+        await this.upload(field, value);
+      } else {
+        await this.type(field, String(value), { clear: true });
+      }
+    }
+
+    this.log(`✓ Filled form: ${names.join(', ')}`);
   }
 
   /**
-   * Assert that an element with the given selector exists
-   * @param {string} selector - CSS selector to check
+   * Scroll an element into the middle of the screen, or the page to a position
+   * @param {string|Locator|number} target - Element, or horizontal position in pixels
+   * @param {number} [y] - Vertical position in pixels, when target is a number
    */
-  async seeElement(selector) {
-    this.log(`Looking for element: ${selector}`);
-    
+  async scrollTo(target, y = 0) {
+    if (typeof target === 'number') {
+      this.log(`Scrolling to ${target}, ${y}`);
+      try {
+        await this.scope.evaluate((left, top) => window.scrollTo({ left, top, behavior: 'instant' }), target, y);
+        this.log(`✓ Scrolled to ${target}, ${y}`);
+      } catch (error) {
+        this.log(`✗ Failed to scroll to ${target}, ${y} - ${error.message}`);
+        throw new Error(`Failed to scroll to ${target}, ${y}: ${error.message}`);
+      }
+      return;
+    }
+
+    const resolvedSelector = await this.findElement(target);
+    this.log(`Scrolling to ${target}`);
+
     try {
-      await this.page.waitForSelector(selector, { timeout: this.options.timeout });
-      this.log(`✓ Found element: ${selector}`);
+      await this.scope.$eval(resolvedSelector, element => element.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' }));
+      this.log(`✓ Scrolled to ${target}`);
     } catch (error) {
-      this.log(`✗ Element "${selector}" not found`);
-      throw new Error(`Expected to see element "${selector}" but it was not found on the page`);
+      this.log(`✗ Failed to scroll to ${target} - ${error.message}`);
+      throw new Error(`Failed to scroll to ${target}: ${error.message}`);
     }
   }
 
   /**
-   * Assert that an element has a specific attribute value
-   * @param {string} selector - CSS selector for the element
-   * @param {string} attribute - Attribute name (e.g., 'aria-label', 'title', 'class')
-   * @param {string} expectedValue - Expected attribute value
+   * Assert that text is visible on the page (hidden elements and markup don't count)
+   * Retries until the timeout, so text that appears after a request is found too.
+   * @param {string|RegExp} text - Text the visible page text contains, or a RegExp it matches
    */
-  async seeAttribute(selector, attribute, expectedValue) {
-    this.log(`Checking ${selector} has ${attribute}="${expectedValue}"`);
-    
-    try {
-      await this.page.waitForFunction(
-        (sel, attr, expected) => {
-          const element = document.querySelector(sel);
-          if (!element) return false;
-          const actualValue = element.getAttribute(attr);
-          return actualValue && actualValue.includes(expected);
-        },
-        { timeout: this.options.timeout },
-        selector,
-        attribute,
-        expectedValue
-      );
-      this.log(`✓ Found ${selector} with ${attribute}="${expectedValue}"`);
-    } catch (error) {
-      this.log(`✗ Element "${selector}" does not have ${attribute}="${expectedValue}"`);
-      throw new Error(`Expected element "${selector}" to have ${attribute}="${expectedValue}"`);
+  async see(text) {
+    this.log(`Looking for: ${describeText(text)}`);
+
+    const { passed } = await this.retryAssertion(() => this.readVisibleText(), content => containsText(content, text));
+    if (!passed) {
+      this.log(`✗ Text ${describeText(text)} not found on page`);
+      throw new Error(`Expected to see ${describeText(text)} but it was not found on the page`);
     }
+    this.log(`✓ Found: ${describeText(text)}`);
   }
 
   /**
-   * Get interaction logs (for debugging)
+   * Assert that text is not visible on the page (waits for it to go away)
+   * @param {string|RegExp} text - Text, or a RegExp
    */
-  getLogs() {
-    return this.logs;
+  async dontSee(text) {
+    this.log(`Checking ${describeText(text)} is not on the page`);
+
+    const { passed } = await this.retryAssertion(() => this.readVisibleText(), content => !containsText(content, text));
+    if (!passed) {
+      this.log(`✗ Text ${describeText(text)} is still on the page`);
+      throw new Error(`Expected not to see ${describeText(text)} but it is on the page`);
+    }
+    this.log(`✓ Not on the page: ${describeText(text)}`);
+  }
+
+  /**
+   * Assert the visible text of an element
+   * @param {string|Locator} selector - The element
+   * @param {string|RegExp} text - Text the element contains, or a RegExp it matches
+   */
+  async seeTextIn(selector, text) {
+    this.log(`Looking for ${describeText(text)} in ${selector}`);
+
+    const { passed, actual } = await this.retryAssertion(
+      async () => this.scope.$eval(await this.findElement(selector), element => element.innerText),
+      content => containsText(content, text)
+    );
+    if (!passed) {
+      this.log(`✗ ${selector} does not contain ${describeText(text)}`);
+      throw new Error(`Expected ${selector} to contain ${describeText(text)} but its text was ${describeActual(actual)}`);
+    }
+    this.log(`✓ Found ${describeText(text)} in ${selector}`);
+  }
+
+  /**
+   * Assert the value of a form field
+   * @param {string|Locator} field - Input, textarea or select (label, name, placeholder...)
+   * @param {string|RegExp} value - Exact value, or a RegExp; for a select, the option value or label
+   */
+  async seeInField(field, value) {
+    this.log(`Checking ${field} has value ${describeText(value)}`);
+
+    const { passed, actual } = await this.retryAssertion(
+      async () => this.scope.$eval(await this.findElement(field), element => {
+        if (element.tagName === 'SELECT') {
+          const selected = [...element.selectedOptions];
+          return { value: element.value, label: selected.map(option => option.label.trim()).join(', ') };
+        }
+        return { value: element.isContentEditable ? element.innerText : element.value };
+      }),
+      state => matchesText(state.value, value) || (state.label !== undefined && matchesText(state.label, value))
+    );
+    if (!passed) {
+      this.log(`✗ ${field} does not have value ${describeText(value)}`);
+      throw new Error(`Expected ${field} to have value ${describeText(value)} but it was ${describeActual(actual && actual.value)}`);
+    }
+    this.log(`✓ ${field} has value ${describeText(value)}`);
+  }
+
+  /**
+   * Assert how many elements match
+   * @param {string|Locator} selector - CSS selector or locator
+   * @param {number} count - Expected number of elements in the page
+   */
+  async seeCount(selector, count) {
+    this.log(`Checking there are ${count} elements matching ${selector}`);
+
+    const { passed, actual } = await this.retryAssertion(() => countElements(this.scope, selector), found => found === count);
+    if (!passed) {
+      this.log(`✗ Found ${actual ?? 0} elements matching ${selector}`);
+      throw new Error(`Expected ${count} element${count === 1 ? '' : 's'} matching ${selector} but found ${actual ?? 0}`);
+    }
+    this.log(`✓ Found ${count} elements matching ${selector}`);
+  }
+
+  /**
+   * Assert that the URL contains a text
+   * @param {string|RegExp} text - Part of the URL, or a RegExp
+   */
+  async seeInUrl(text) {
+    this.log(`Checking URL contains ${describeText(text)}`);
+
+    const { passed, actual } = await this.retryAssertion(() => this.page.url(), url => containsText(url, text));
+    if (!passed) {
+      this.log(`✗ URL does not contain ${describeText(text)}`);
+      throw new Error(`Expected URL to contain ${describeText(text)} but it was ${describeActual(actual)}`);
+    }
+    this.log(`✓ URL contains ${describeText(text)}`);
+  }
+
+  /**
+   * Assert the whole URL
+   * @param {string|RegExp} url - Exact URL (relative to the baseURL option if set), a path like "/cart", or a RegExp
+   */
+  async seeUrl(url) {
+    this.log(`Checking URL is ${describeText(url)}`);
+
+    const { passed, actual } = await this.retryAssertion(() => this.page.url(), current => this.isUrl(current, url));
+    if (!passed) {
+      this.log(`✗ URL is not ${describeText(url)}`);
+      throw new Error(`Expected URL to be ${describeText(url)} but it was ${describeActual(actual)}`);
+    }
+    this.log(`✓ URL is ${describeText(url)}`);
+  }
+
+  /**
+   * Check a URL the way seeUrl() does
+   * @param {string} current - URL of the page
+   * @param {string|RegExp} url - Exact URL (relative to the baseURL option if set), a path like "/cart", or a RegExp
+   * @returns {boolean}
+   */
+  isUrl(current, url) {
+    const expected = url instanceof RegExp ? url : this.resolveUrl(url);
+    if (matchesText(current, expected)) return true;
+    // Without a baseURL, "/cart?step=2" is compared with the path of the URL
+    if (typeof expected === 'string' && expected.startsWith('/')) {
+      const { pathname, search, hash } = new URL(current);
+      return `${pathname}${search}${hash}` === expected;
+    }
+    return false;
+  }
+
+  /**
+   * Assert the page title
+   * @param {string|RegExp} title - Exact title, or a RegExp
+   */
+  async seeTitle(title) {
+    this.log(`Checking title is ${describeText(title)}`);
+
+    const { passed, actual } = await this.retryAssertion(() => this.page.title(), current => matchesText(current, title));
+    if (!passed) {
+      this.log(`✗ Title is not ${describeText(title)}`);
+      throw new Error(`Expected title to be ${describeText(title)} but it was ${describeActual(actual)}`);
+    }
+    this.log(`✓ Title is ${describeText(title)}`);
+  }
+
+  /**
+   * Assert that an element is visible
+   * @param {string|Locator} selector - CSS selector or locator
+   */
+  async seeVisible(selector) {
+    this.log(`Checking ${selector} is visible`);
+
+    const { passed, actual } = await this.retryAssertion(() => this.readVisibility(selector), state => state.visible > 0);
+    if (!passed) {
+      const reason = actual && actual.total > 0 ? 'it is hidden' : 'it is not on the page';
+      this.log(`✗ ${selector} is not visible`);
+      throw new Error(`Expected ${selector} to be visible but ${reason}`);
+    }
+    this.log(`✓ ${selector} is visible`);
+  }
+
+  /**
+   * Assert that an element is hidden or not on the page (waits for it to disappear)
+   * @param {string|Locator} selector - CSS selector or locator
+   */
+  async seeHidden(selector) {
+    this.log(`Checking ${selector} is hidden`);
+
+    const { passed, actual } = await this.retryAssertion(() => this.readVisibility(selector), state => state.visible === 0);
+    if (!passed) {
+      this.log(`✗ ${selector} is visible`);
+      throw new Error(`Expected ${selector} to be hidden but ${actual.visible} visible element${actual.visible === 1 ? ' matches' : 's match'}`);
+    }
+    this.log(`✓ ${selector} is hidden`);
+  }
+
+  async readVisibility(selector) {
+    return {
+      visible: await countElements(this.scope, selector, { visible: true }),
+      total: await countElements(this.scope, selector)
+    };
+  }
+
+  async readVisibleText() {
+    return this.scope.evaluate(() => document.body ? document.body.innerText : '');
   }
 
   /**
-   * Smart element finder that tries multiple selector strategies
-   * @param {string} selector - The selector to find
-   * @returns {string} - Working CSS selector
+   * Retry an assertion until it passes or the timeout is reached
+   * @param {Function} read - Reads the current state; errors (page navigating...) count as a failed try
+   * @param {Function} passes - (state) => boolean
+   * @param {number} [timeout] - Milliseconds to retry (default: the timeout option)
+   * @returns {Promise<{passed: boolean, actual: *, error: Error|null}>} - actual is the last state read, error the last read error
    */
-  async findElement(selector) {
-    // If it's already a CSS selector (contains special chars), try it first
-    if (selector.includes('[') || selector.includes('.') || selector.includes('#') || selector.includes(' ') || selector.includes('>')) {
+  async retryAssertion(read, passes, timeout = this.options.timeout) {
+    let actual;
+    let error = null;
+    const passed = await poll(async () => {
       try {
-        await this.page.waitForSelector(selector, { timeout: 1000 });
-        return selector;
-      } catch (error) {
-        // If the CSS selector fails, fall through to try other strategies
+        actual = await read();
+        error = null;
+      } catch (readError) {
+        error = readError;
+        return false;
+      }
+      return passes(actual);
+    }, timeout, 100);
+    return { passed: Boolean(passed), actual, error };
+  }
+
+  /**
+   * Get current page content (for debugging)
+   */
+  async getContent() {
+    if (!this.page) return '';
+    try {
+      return await this.page.evaluate(() => document.body.innerText);
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Get current page URL (for debugging)
+   */
+  async getCurrentUrl() {
+    if (!this.page) return '';
+    try {
+      return this.page.url();
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Take a screenshot (for debugging)
+   * @param {string} path - Path to save screenshot
+   * @param {Object} options - Extra Puppeteer screenshot options (e.g. { fullPage: true })
+   * @returns {Promise<boolean>} - Whether the screenshot was saved
+   */
+  async screenshot(path, options = {}) {
+    if (!this.page) return false;
+    try {
+      await this.page.screenshot({ ...options, path });
+      this.log(`✓ Screenshot saved: ${path}`);
+      return true;
+    } catch (error) {
+      this.log(`✗ Failed to take screenshot: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Compare the page (or one element) with a baseline screenshot
+   * The first run saves the baseline in __screenshots__/ next to the test file, one per viewport size.
+   * On a mismatch the actual, expected and diff images are saved with the test's artifacts.
+   * @param {string} name - Name of the screenshot, e.g. "checkout-summary"
+   * @param {Object} [options]
+   * @param {string|Locator} [options.selector] - Only screenshot this element
+   * @param {Array<string|Locator>} [options.mask] - Elements painted over before the screenshot (dates, ads...)
+   * @param {number} [options.threshold] - Colour difference allowed per pixel, 0 (exact) to 1 (default 0.1)
+   * @param {number} [options.maxDiffPixels] - Number of different pixels allowed (default 0)
+   * @param {number} [options.maxDiffPixelRatio] - Share of different pixels allowed, 0 to 1
+   * @param {boolean} [options.antialiasing] - Ignore differences in anti-aliasing (default true)
+   * @param {boolean} [options.fullPage] - Whole page instead of the viewport
+   */
+  async matchScreenshot(name, { selector, mask = [], threshold = 0.1, maxDiffPixels = 0, maxDiffPixelRatio = 0, antialiasing = true, fullPage = false } = {}) {
+    await this.init();
+    const viewport = this.page.viewport() || { width: 0, height: 0 };
+    const scale = viewport.deviceScaleFactor && viewport.deviceScaleFactor !== 1 ? `@${viewport.deviceScaleFactor}x` : '';
+    const fileName = `${slugify(name)}-${viewport.width}x${viewport.height}${scale}`;
+    const baselinePath = join(this.options.snapshotDir || resolve('__screenshots__'), `${fileName}.png`);
+
+    this.log(`Comparing screenshot "${name}" with ${basename(baselinePath)}`);
+    const image = await this.captureForComparison({ selector, mask, fullPage });
+
+    if (this.options.updateSnapshots || !existsSync(baselinePath)) {
+      // On CI a missing baseline is a mistake, not a first run
+      if (!this.options.updateSnapshots && process.env.CI) {
+        this.log(`✗ No baseline for "${name}"`);
+        throw new Error(`No baseline screenshot at ${baselinePath}. Run latte --update-snapshots locally and commit it`);
+      }
+      await mkdir(dirname(baselinePath), { recursive: true });
+      await writeFile(baselinePath, image);
+      this.log(`📸 Saved baseline ${baselinePath}`);
+      return;
+    }
+
+    const expected = decodePng(await readFile(baselinePath));
+    const actual = decodePng(image);
+    const { diffPixels, totalPixels, sameSize, diff } = compareImages(expected, actual, { threshold, antialiasing });
+    const allowed = Math.max(maxDiffPixels, Math.floor(maxDiffPixelRatio * totalPixels));
+
+    if (sameSize && diffPixels <= allowed) {
+      this.log(`✓ Screenshot "${name}" matches${diffPixels > 0 ? ` (${diffPixels} pixels differ, ${allowed} allowed)` : ''}`);
+      return;
+    }
+
+    const outputDir = this.options.outputDir || resolve('latte-artifacts');
+    const output = {
+      expected: join(outputDir, `${fileName}-expected.png`),
+      actual: join(outputDir, `${fileName}-actual.png`),
+      diff: join(outputDir, `${fileName}-diff.png`)
+    };
+    await mkdir(outputDir, { recursive: true });
+    await writeFile(output.expected, await readFile(baselinePath));
+    await writeFile(output.actual, image);
+    await writeFile(output.diff, encodePng(diff));
+
+    const problem = sameSize
+      ? `${diffPixels} pixels (${(diffPixels / totalPixels * 100).toFixed(2)}%) are different${allowed > 0 ? `, ${allowed} allowed` : ''}`
+      : `its size changed from ${expected.width}x${expected.height} to ${actual.width}x${actual.height}`;
+    this.log(`✗ Screenshot "${name}" does not match: ${problem}`);
+    throw new Error(
+      `Screenshot "${name}" does not match the baseline: ${problem}\n` +
+      `  Expected: ${output.expected}\n` +
+      `  Actual:   ${output.actual}\n` +
+      `  Diff:     ${output.diff}\n` +
+      'If the change is intended, run latte --update-snapshots'
+    );
+  }
+
+  /**
+   * Screenshot for comparison: animations finished, caret hidden, masked elements painted over
+   * @returns {Promise<Buffer>} - PNG image
+   */
+  async captureForComparison({ selector, mask, fullPage }) {
+    const target = selector ? await this.findElement(selector) : null;
+    // Locators point at one element, CSS selectors mask every match
+    const maskSelectors = [];
+    for (const item of mask) {
+      maskSelectors.push(item instanceof Locator ? await this.findElement(item) : item);
+    }
+
+    await this.scope.evaluate((maskSelectors, attribute) => {
+      const style = document.createElement('style');
+      style.setAttribute(attribute, '');
+      style.textContent = `*, *::before, *::after {
+        animation-duration: 0s !important; animation-delay: 0s !important;
+        transition: none !important; caret-color: transparent !important;
+      }`;
+      document.head.appendChild(style);
+
+      for (const maskSelector of maskSelectors) {
+        for (const element of document.querySelectorAll(maskSelector)) {
+          const rect = element.getBoundingClientRect();
+          const overlay = document.createElement('div');
+          overlay.setAttribute(attribute, '');
+          overlay.style.cssText = `position: absolute; z-index: 2147483647; background: #ff00ff; pointer-events: none;
+            left: ${rect.left + window.scrollX}px; top: ${rect.top + window.scrollY}px; width: ${rect.width}px; height: ${rect.height}px;`;
+          document.body.appendChild(overlay);
+        }
+      }
+    }, maskSelectors, SCREENSHOT_ATTRIBUTE);
+
+    try {
+      if (target) {
+        const element = await this.scope.$(target);
+        return Buffer.from(await element.screenshot({ type: 'png' }));
       }
+      return Buffer.from(await this.page.screenshot({ type: 'png', fullPage }));
+    } finally {
+      await this.scope.evaluate(attribute => {
+        document.querySelectorAll(`[${attribute}]`).forEach(node => node.remove());
+      }, SCREENSHOT_ATTRIBUTE).catch(() => {
+        // The page navigated, nothing left to clean up
+      });
     }
+  }
+
+
+  /**
+   * Set the browser resolution (viewport size)
+   * @param {number} width - Resolution width in pixels
+   * @param {number} height - Resolution height in pixels
+   */
+  async resolution(width, height) {
+    await this.init();
+    this.log(`Setting resolution to ${width}x${height}`);
     
-    // Try multiple selector strategies in order of preference
-    const strategies = [
-      // Semantic HTML first (most reliable)
-      selector === 'submit' || selector === 'Confirm' ? 'button[type="submit"]' : null,
-      
-      // Testing attributes
-      `[data-testid="${selector}"]`,            // data-testid (React Testing Library)
-      `[data-test-id="${selector}"]`,           // data-test-id (alternative format)
-      `[data-cy="${selector}"]`,                // data-cy (Cypress)
-      
-      // Form attributes
-      `[name="${selector}"]`,                   // name attribute (forms)
-      `#${selector}`,                           // id attribute
-      
-      // Accessibility attributes
-      `[aria-label="${selector}"]`,             // aria-label (accessibility)
-      `[aria-labelledby="${selector}"]`,        // aria-labelledby
-      
-      // General attributes
-      `[placeholder="${selector}"]`,            // placeholder text
-      `[title="${selector}"]`,                  // title attribute
-      `.${selector}`,                           // class name
-      `[role="${selector}"]`,                   // ARIA role
-      selector                                  // fallback to original
-    ].filter(Boolean); // Remove null values
+    try {
+      // Keep the emulated device's pixel ratio and touch support
+      await this.page.setViewport({ ...this.page.viewport(), width, height });
+      this.emulation.viewport = { width, height };
+      this.log(`✓ Resolution set to ${width}x${height}`);
+    } catch (error) {
+      this.log(`✗ Failed to set resolution: ${error.message}`);
+      throw new Error(`Failed to set resolution to ${width}x${height}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Emulate a device and its environment, for this tab and the popups it opens
+   *
+   *   await app.emulate('iPhone 15');
+   *   await app.emulate('Pixel 7', { locale: 'de-DE', network: 'slow 3g' });
+   *   await app.emulate({ colorScheme: 'dark', timezone: 'Asia/Tokyo' });
+   *
+   * @param {string|Object} device - Device name (see devices.js), or only settings
+   * @param {Object} [settings] - Same as the test options: viewport, touch, deviceScaleFactor, userAgent,
+   *   locale, timezone, geolocation, colorScheme, reducedMotion, network
+   */
+  async emulate(device, settings = {}) {
+    const changes = typeof device === 'string' ? { ...settings, device } : { ...device };
+    await this.init();
+    const description = describeEmulation(changes);
+    this.log(`Emulating ${description}`);
+
+    // A new device brings its own screen and user agent
+    const kept = { ...this.emulation };
+    if (changes.device) {
+      for (const name of ['viewport', 'touch', 'deviceScaleFactor', 'userAgent']) delete kept[name];
+    }
+
+    try {
+      const emulation = { ...kept, ...changes };
+      for (const tab of this.tabs) {
+        await this.applyEmulation(tab, emulation);
+      }
+      this.emulation = emulation;
+      this.log(`✓ Emulating ${description}`);
+    } catch (error) {
+      this.log(`✗ Failed to emulate ${description} - ${error.message}`);
+      throw new Error(`Failed to emulate ${description}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply device and environment settings to a tab
+   * @param {import('puppeteer').Page} page
+   * @param {Object} settings - See emulate()
+   */
+  async applyEmulation(page, { device, viewport, touch, deviceScaleFactor, userAgent, locale, timezone, geolocation, colorScheme, reducedMotion, network }) {
+    const preset = device ? findDevice(device) : null;
+
+    if (preset || viewport || touch !== undefined || deviceScaleFactor !== undefined) {
+      await page.setViewport({
+        ...DEFAULT_VIEWPORT,
+        ...(preset ? preset.viewport : {}),
+        ...viewport,
+        ...(touch !== undefined ? { hasTouch: touch } : {}),
+        ...(deviceScaleFactor !== undefined ? { deviceScaleFactor } : {})
+      });
+    }
+
+    const agent = userAgent || (preset && preset.userAgent);
+    if (locale) {
+      const session = await this.cdpSession(page);
+      // Intl formatting, navigator.language and the Accept-Language header
+      await session.send('Emulation.setLocaleOverride', {});
+      await session.send('Emulation.setLocaleOverride', { locale });
+      await session.send('Network.setUserAgentOverride', {
+        userAgent: agent || await page.browser().userAgent(),
+        acceptLanguage: locale
+      });
+    } else if (agent) {
+      await page.setUserAgent({ userAgent: agent });
+    }
+
+    if (timezone) {
+      await page.emulateTimezone(timezone);
+    }
+
+    if (geolocation) {
+      await page.setGeolocation(geolocation);
+      await this.allowGeolocation(page.url());
+    }
+
+    if (colorScheme !== undefined || reducedMotion !== undefined) {
+      if (colorScheme !== undefined && !COLOR_SCHEMES.includes(colorScheme)) {
+        throw new Error(`colorScheme must be ${COLOR_SCHEMES.map(value => `'${value}'`).join(', ')}, got ${JSON.stringify(colorScheme)}`);
+      }
+      const motion = reducedMotion === true ? 'reduce' : reducedMotion === false ? 'no-preference' : reducedMotion;
+      await page.emulateMediaFeatures([
+        ...(colorScheme !== undefined ? [{ name: 'prefers-color-scheme', value: colorScheme }] : []),
+        ...(motion !== undefined ? [{ name: 'prefers-reduced-motion', value: motion }] : [])
+      ]);
+    }
+
+    if (network !== undefined) {
+      // Throttling resets offline mode, so it goes first
+      await page.emulateNetworkConditions(network === 'offline' ? null : networkConditions(network));
+      await page.setOfflineMode(network === 'offline');
+    }
+  }
+
+  /**
+   * Let pages of a URL's site read the emulated position without a permission prompt
+   * @param {string} url
+   */
+  async allowGeolocation(url) {
+    const origin = /^https?:/.test(url) ? new URL(url).origin : null;
+    if (!origin) return;
+    await (this.context || this.browser.defaultBrowserContext()).overridePermissions(origin, ['geolocation']);
+  }
+
+  /**
+   * DevTools session of a tab; overrides like the locale last as long as it stays open
+   * @param {import('puppeteer').Page} page
+   */
+  async cdpSession(page) {
+    if (!this.cdpSessions.has(page)) {
+      this.cdpSessions.set(page, await page.createCDPSession());
+    }
+    return this.cdpSessions.get(page);
+  }
+
+  /**
+   * Get the current resolution (viewport dimensions)
+   * @returns {Promise<{width: number, height: number}>} Current resolution
+   */
+  async getResolution() {
+    if (!this.page) {
+      throw new Error('Browser not initialized. Call open() first.');
+    }
+    
+    try {
+      const viewport = this.page.viewport();
+      this.log(`Current resolution: ${viewport.width}x${viewport.height}`);
+      return viewport;
+    } catch (error) {
+      this.log(`✗ Failed to get resolution: ${error.message}`);
+      throw new Error(`Failed to get resolution: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wait for a specific amount of time
+   * @param {number} ms - Milliseconds to wait
+   */
+  async wait(ms) {
+    this.log(`Waiting ${ms}ms`);
+    await new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Assert that an element is in the page (visible or not, see seeVisible)
+   * @param {string|Locator} selector - CSS selector or locator
+   */
+  async seeElement(selector) {
+    this.log(`Looking for element: ${selector}`);
+
+    const { passed } = await this.retryAssertion(() => countElements(this.scope, selector), count => count > 0);
+    if (!passed) {
+      this.log(`✗ Element "${selector}" not found`);
+      throw new Error(`Expected to see element "${selector}" but it was not found on the page`);
+    }
+    this.log(`✓ Found element: ${selector}`);
+  }
+
+  /**
+   * Assert that no element matches (waits for it to be removed)
+   * @param {string|Locator} selector - CSS selector or locator
+   */
+  async dontSeeElement(selector) {
+    this.log(`Checking element is not on the page: ${selector}`);
+
+    const { passed, actual } = await this.retryAssertion(() => countElements(this.scope, selector), count => count === 0);
+    if (!passed) {
+      this.log(`✗ Element "${selector}" is on the page`);
+      throw new Error(`Expected element "${selector}" not to be on the page but found ${actual}`);
+    }
+    this.log(`✓ Not on the page: ${selector}`);
+  }
+
+  /**
+   * Assert that an element has a specific attribute value
+   * @param {string} selector - CSS selector for the element
+   * @param {string} attribute - Attribute name (e.g., 'aria-label', 'title', 'class')
+   * @param {string} expectedValue - Expected attribute value
+   */
+  async seeAttribute(selector, attribute, expectedValue) {
+    this.log(`Checking ${selector} has ${attribute}="${expectedValue}"`);
     
-    // Try each strategy until one works
-    for (const strategy of strategies) {
+    try {
+      await this.scope.waitForFunction(
+        (sel, attr, expected) => {
+          const element = document.querySelector(sel);
+          if (!element) return false;
+          const actualValue = element.getAttribute(attr);
+          return actualValue && actualValue.includes(expected);
+        },
+        { timeout: this.options.timeout },
+        selector,
+        attribute,
+        expectedValue
+      );
+      this.log(`✓ Found ${selector} with ${attribute}="${expectedValue}"`);
+    } catch (error) {
+      this.log(`✗ Element "${selector}" does not have ${attribute}="${expectedValue}"`);
+      throw new Error(`Expected element "${selector}" to have ${attribute}="${expectedValue}"`);
+    }
+  }
+
+  /**
+   * Continue the test in another tab
+   * @param {number|string|RegExp} matcher - Index in opening order (0 is the first tab, -1 the last),
+   *   or text / RegExp found in the tab's URL or title
+   */
+  async switchToTab(matcher) {
+    const description = typeof matcher === 'number' ? `#${matcher}` : describeText(matcher);
+    this.log(`Switching to tab ${description}`);
+
+    const { passed, actual } = await this.retryAssertion(() => this.findTab(matcher), tab => Boolean(tab));
+    if (!passed) {
+      this.log(`✗ No tab ${description}`);
+      throw new Error(`No tab ${description}. Open tabs:\n${await this.describeTabs()}`);
+    }
+
+    this.page = actual;
+    this.frame = null;
+    await this.page.bringToFront();
+    this.log(`✓ Switched to tab ${this.page.url()}`);
+  }
+
+  async findTab(matcher) {
+    if (typeof matcher === 'number') return this.tabs.at(matcher) || null;
+    for (const tab of this.tabs) {
+      if (containsText(tab.url(), matcher) || containsText(await tab.title(), matcher)) return tab;
+    }
+    return null;
+  }
+
+  async describeTabs() {
+    const lines = [];
+    for (const [index, tab] of this.tabs.entries()) {
+      const title = await tab.title().catch(() => '');
+      lines.push(`  ${index}. ${tab.url()}${title ? ` "${title}"` : ''}${tab === this.page ? ' (current)' : ''}`);
+    }
+    return lines.length > 0 ? lines.join('\n') : '  (none, call open() first)';
+  }
+
+  /**
+   * Wait for a tab or popup window opened by the page, and continue the test in it
+   * Popups opened before the call count too, so this works after the click that opens it.
+   * When the popup closes itself, the test continues in the tab that opened it.
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Defaults to the app timeout
+   */
+  async waitForPopup({ timeout = this.options.timeout } = {}) {
+    this.log('Waiting for a popup');
+
+    const popup = await poll(() => this.popups.shift(), timeout);
+    if (!popup) {
+      this.log('✗ No popup opened');
+      throw new Error(`Expected a popup or new tab within ${timeout}ms but none was opened`);
+    }
+
+    this.page = popup;
+    this.frame = null;
+    this.log(`✓ Switched to popup ${popup.url()}`);
+  }
+
+  /**
+   * Run actions and assertions inside an iframe (payment forms, embedded widgets...)
+   *
+   *   await app.within('#payment-frame', async frame => {
+   *     await frame.type('Card number', '4242 4242 4242 4242');
+   *   });
+   *
+   * @param {string|Locator} frameSelector - The <iframe> element, found in the current page or iframe
+   * @param {Function} fn - async (app) => ...; until it returns, the app finds elements inside the iframe
+   * @returns {Promise<*>} - What fn returns
+   */
+  async within(frameSelector, fn) {
+    this.log(`Entering iframe ${frameSelector}`);
+    const selector = await this.findElement(frameSelector);
+
+    const frame = await poll(async () => {
+      const element = await this.scope.$(selector);
+      return element && element.contentFrame();
+    }, this.options.timeout);
+    if (!frame) {
+      const tag = await this.scope.$eval(selector, element => element.tagName.toLowerCase()).catch(() => null);
+      this.log(`✗ ${frameSelector} is not an iframe`);
+      throw new Error(`Cannot enter ${frameSelector}: ${tag && tag !== 'iframe' && tag !== 'frame' ? `it is a <${tag}>, not an <iframe>` : 'the iframe has no document'}`);
+    }
+
+    const page = this.page;
+    const previous = this.frame;
+    this.frame = frame;
+    try {
+      return await fn(this);
+    } finally {
+      // A popup may have taken over meanwhile, its tab has no iframe to restore
+      if (this.page === page) this.frame = previous;
+      this.log(`Left iframe ${frameSelector}`);
+    }
+  }
+
+  /**
+   * Choose how alert(), confirm() and prompt() dialogs are answered from now on
+   * Without it, dialogs are dismissed so they never block the test.
+   * @param {string|Function} action - 'accept', 'dismiss', or a function receiving
+   *   { type, message, defaultValue, accept(promptText), dismiss() }
+   * @param {string} [promptText] - Text entered in prompt() dialogs when accepting
+   */
+  onDialog(action, promptText) {
+    if (typeof action !== 'function' && action !== 'accept' && action !== 'dismiss') {
+      throw new Error(`onDialog() expects 'accept', 'dismiss' or a function, got ${JSON.stringify(action)}`);
+    }
+    this.dialogAction = typeof action === 'function' ? action : { action, promptText };
+    this.log(`Dialogs will be ${typeof action === 'function' ? 'answered by a handler' : `${action}ed`}`);
+  }
+
+  async answerDialog(dialog) {
+    const record = { type: dialog.type(), message: dialog.message(), defaultValue: dialog.defaultValue(), answer: null };
+    this.dialogs.push(record);
+    this.log(`Dialog ${record.type}: "${record.message}"`);
+
+    const answer = {
+      type: record.type,
+      message: record.message,
+      defaultValue: record.defaultValue,
+      accept: async text => {
+        if (record.answer) return;
+        record.answer = 'accepted';
+        await dialog.accept(text);
+      },
+      dismiss: async () => {
+        if (record.answer) return;
+        record.answer = 'dismissed';
+        await dialog.dismiss();
+      }
+    };
+
+    try {
+      if (typeof this.dialogAction === 'function') {
+        await this.dialogAction(answer);
+      } else if (this.dialogAction && this.dialogAction.action === 'accept') {
+        await answer.accept(this.dialogAction.promptText);
+      } else if (!this.dialogAction && record.type === 'beforeunload') {
+        // Let the test leave the page
+        await answer.accept();
+      }
+    } finally {
+      await answer.dismiss();
+      this.log(`✓ ${record.answer === 'accepted' ? 'Accepted' : 'Dismissed'} ${record.type}: "${record.message}"`);
+    }
+  }
+
+  /**
+   * Assert that an alert(), confirm() or prompt() dialog was shown (waits for it)
+   * @param {string|RegExp} text - Text the dialog message contains, or a RegExp it matches
+   */
+  async seeDialog(text) {
+    this.log(`Looking for a dialog with ${describeText(text)}`);
+
+    const { passed } = await this.retryAssertion(() => this.dialogs, dialogs => dialogs.some(dialog => containsText(dialog.message, text)));
+    if (!passed) {
+      const shown = this.dialogs.length > 0
+        ? `the dialogs shown were:\n${this.dialogs.map(dialog => `  ${dialog.type}: "${dialog.message}"`).join('\n')}`
+        : 'no dialog was shown';
+      this.log(`✗ No dialog with ${describeText(text)}`);
+      throw new Error(`Expected a dialog with ${describeText(text)} but ${shown}`);
+    }
+    this.log(`✓ Dialog shown: ${describeText(text)}`);
+  }
+
+  /**
+   * Answer requests matching a URL pattern with a mocked response
+   * @param {string|RegExp|Function} urlPattern - "/api/cart", "**\/api/*", a RegExp or (url) => boolean
+   * @param {Object|string|Function} response - { status, headers, contentType, body, json, fixture, delay },
+   *   a fixture path, or a function receiving the request and returning one of these (null lets the request through)
+   */
+  async mock(urlPattern, response) {
+    await this.init();
+    const fixturesDir = resolve(this.options.fixturesDir || process.cwd());
+
+    // Load fixtures now, so a missing or broken file fails the test right here
+    const staticResponse = typeof response === 'function' ? null : await buildMockResponse(response, fixturesDir);
+    this.log(`Mocking requests to ${describePattern(urlPattern)}`);
+
+    await this.network.route(urlPattern, async request => {
       try {
-        // Wait for element to exist AND be enabled (not disabled)
-        await this.page.waitForSelector(`${strategy}:not([disabled])`, { timeout: 2000 });
-        return strategy;
+        const definition = staticResponse || await response(toRequestInfo(request));
+        if (!definition) return null;
+        const mocked = staticResponse || await buildMockResponse(definition, fixturesDir);
+        this.log(`✓ Mocked: ${request.method} ${request.url} → ${mocked.status}`);
+        return { action: 'respond', response: mocked };
       } catch (error) {
-        // If that fails, try just waiting for existence (might be disabled initially)
-        try {
-          await this.page.waitForSelector(strategy, { timeout: 1000 });
-          return strategy;
-        } catch (error2) {
-          // Continue to next strategy
-        }
+        this.log(`✗ Mock for ${request.method} ${request.url} failed - ${error.message}`);
+        return { action: 'abort' };
       }
+    });
+  }
+
+  /**
+   * Block requests matching URL patterns (analytics, ads, third-party widgets...)
+   * @param {string|RegExp|Function|Array} patterns - One URL pattern or a list of them
+   */
+  async blockRequests(patterns) {
+    await this.init();
+    const list = Array.isArray(patterns) ? patterns : [patterns];
+    this.log(`Blocking requests to ${list.map(describePattern).join(', ')}`);
+
+    for (const pattern of list) {
+      await this.network.route(pattern, request => {
+        this.log(`✓ Blocked: ${request.method} ${request.url}`);
+        return { action: 'abort' };
+      });
     }
-    
-    // Try a more flexible approach - maybe the element loads dynamically
+  }
+
+  /**
+   * Wait for a request matching a URL pattern
+   * Requests sent before the call count too, so this works after the click that sends it.
+   * Each request is returned only once.
+   * @param {string|RegExp|Function} urlPattern - URL pattern
+   * @param {Object} [options]
+   * @param {string} [options.method] - HTTP method
+   * @param {*} [options.body] - Expected body (objects match when they contain these keys)
+   * @param {number} [options.timeout] - Defaults to the app timeout
+   * @returns {Promise<{url: string, method: string, headers: Object, body: *, resourceType: string, status: number|null}>}
+   */
+  async waitForRequest(urlPattern, { method, body, timeout = this.options.timeout } = {}) {
+    await this.init();
+    const description = describeExpectedRequest(urlPattern, { method, body });
+    this.log(`Waiting for ${description}`);
+
+    const record = await poll(() => this.network.take('request', urlPattern, { method, body }), timeout);
+    if (!record) {
+      this.log(`✗ Timed out waiting for ${description}`);
+      throw new Error(`Expected ${description} within ${timeout}ms but none was sent${this.describeRequests(urlPattern)}`);
+    }
+
+    this.log(`✓ Request sent: ${describeRequest(record)}`);
+    return toRequestInfo(record);
+  }
+
+  /**
+   * Wait for the response to a request matching a URL pattern
+   * @param {string|RegExp|Function} urlPattern - URL pattern
+   * @param {Object} [options]
+   * @param {string} [options.method] - HTTP method
+   * @param {number} [options.status] - Expected status code
+   * @param {number} [options.timeout] - Defaults to the app timeout
+   * @returns {Promise<{url: string, status: number, headers: Object, body: *, request: Object}>} - body is parsed when JSON
+   */
+  async waitForResponse(urlPattern, { method, status, timeout = this.options.timeout } = {}) {
+    await this.init();
+    const description = `response to ${describeExpectedRequest(urlPattern, { method })}${status ? ` with status ${status}` : ''}`;
+    this.log(`Waiting for ${description}`);
+
+    const record = await poll(() => this.network.take('response', urlPattern, { method, status }), timeout);
+    if (!record) {
+      this.log(`✗ Timed out waiting for ${description}`);
+      throw new Error(`Expected a ${description} within ${timeout}ms but none arrived${this.describeRequests(urlPattern)}`);
+    }
+
+    let responseBody;
     try {
-      await this.page.waitForSelector(`[data-testid="${selector}"]`, { timeout: 8000 });
-      return `[data-testid="${selector}"]`;
-    } catch (error) {
-      // Also try by aria-label if it matches
+      const text = await record.response.response.text();
       try {
-        await this.page.waitForSelector(`[aria-label="${selector}"]`, { timeout: 3000 });
-        return `[aria-label="${selector}"]`;
-      } catch (error2) {
-        // Final attempt failed
+        responseBody = JSON.parse(text);
+      } catch (error) {
+        responseBody = text;
       }
+    } catch (error) {
+      // Redirects and aborted responses have no body
     }
-    
-    // If nothing worked, throw an error with helpful information
-    throw new Error(`Element "${selector}" not found. Searched using data-testid, name, aria-label, id, and other common selectors.`);
+
+    this.log(`✓ Response received: ${describeRequest(record)}`);
+    return {
+      url: record.url,
+      status: record.response.status,
+      headers: record.response.headers,
+      body: responseBody,
+      request: toRequestInfo(record)
+    };
+  }
+
+  /**
+   * Assert that the page sent a request matching a URL pattern
+   * @param {string|RegExp|Function} urlPattern - URL pattern
+   * @param {Object} [options]
+   * @param {string} [options.method] - HTTP method
+   * @param {*} [options.body] - Expected body (objects match when they contain these keys)
+   */
+  async seeRequest(urlPattern, { method, body } = {}) {
+    await this.init();
+    const description = describeExpectedRequest(urlPattern, { method, body });
+    this.log(`Looking for ${description}`);
+
+    const found = await poll(() => this.network.find(urlPattern, { method, body })[0], this.options.timeout);
+    if (!found) {
+      this.log(`✗ Never sent: ${description}`);
+      throw new Error(`Expected ${description} but none was sent${this.describeRequests(urlPattern)}`);
+    }
+
+    this.log(`✓ Request sent: ${describeRequest(found)}`);
+  }
+
+  /**
+   * List the requests that were sent, to explain a failed network assertion
+   * @param {string|RegExp|Function} urlPattern - Requests to this URL are listed with their body
+   * @returns {string}
+   */
+  describeRequests(urlPattern) {
+    const sameUrl = this.network.find(urlPattern);
+    if (sameUrl.length > 0) {
+      const lines = sameUrl.map(record => `  ${describeRequest(record)}${record.body !== undefined ? ` ${JSON.stringify(record.body)}` : ''}`);
+      return `\nRequests to ${describePattern(urlPattern)}:\n${lines.join('\n')}`;
+    }
+
+    const recent = this.network.requests.slice(-10);
+    if (recent.length === 0) return '\nNo requests were sent';
+    return `\nLast requests:\n${recent.map(record => `  ${describeRequest(record)}`).join('\n')}`;
+  }
+
+  /**
+   * Get interaction logs (for debugging)
+   */
+  getLogs() {
+    return this.logs;
+  }
+
+  /**
+   * Find an element and get a CSS selector that points at it
+   * Strings are tried, in one query inside the page, as CSS selector, test id, id, name,
+   * button or link text, label, placeholder, aria-label, title and visible text.
+   * @param {string|Locator} target - String or locator from getByRole(), getByText()...
+   * @returns {Promise<string>} - Working CSS selector
+   */
+  async findElement(target) {
+    return resolveLocator(this.scope, target, this.options.timeout);
+  }
+
+  /**
+   * Wait until a found element is visible, enabled... (see actionability.js)
+   * @param {string|Locator} target - What the test asked for, to find it again if the page re-renders
+   * @param {string} selector - Selector returned by findElement()
+   * @param {string[]} checks - Checks to pass
+   * @returns {Promise<string>} - Selector of the element, ready for the action
+   */
+  async waitUntilActionable(target, selector, checks) {
+    return waitUntilActionable(this.scope, selector, {
+      checks,
+      timeout: this.options.timeout,
+      relocate: () => this.findElement(target)
+    });
+  }
+
+  /**
+   * Locate elements by CSS selector, e.g. for expect(app.locator('#cart-count')).toHaveText('3')
+   * @param {string} selector - CSS selector
+   * @returns {Locator}
+   */
+  locator(selector) {
+    return new Locator(this, { strategy: 'css', value: selector, options: {} });
+  }
+
+  /**
+   * Locate an element by its ARIA role and accessible name
+   * @param {string} role - e.g. 'button', 'link', 'textbox', 'checkbox', 'heading'
+   * @param {Object} [options]
+   * @param {string|RegExp} [options.name] - Accessible name (text, label, aria-label...)
+   * @param {boolean} [options.exact] - Match the whole name, case-sensitive (default: contains, case-insensitive)
+   * @param {number} [options.level] - Heading level
+   * @returns {Locator}
+   */
+  getByRole(role, options = {}) {
+    return new Locator(this, { strategy: 'role', value: role, options });
+  }
+
+  /**
+   * Locate the innermost element containing a text
+   * @param {string|RegExp} text - Visible text
+   * @param {{exact?: boolean}} [options]
+   * @returns {Locator}
+   */
+  getByText(text, options = {}) {
+    return new Locator(this, { strategy: 'text', value: text, options });
+  }
+
+  /**
+   * Locate a form control by the text of its <label> (or aria-label)
+   * @param {string|RegExp} text - Label text
+   * @param {{exact?: boolean}} [options]
+   * @returns {Locator}
+   */
+  getByLabel(text, options = {}) {
+    return new Locator(this, { strategy: 'label', value: text, options });
+  }
+
+  /**
+   * Locate an input by its placeholder
+   * @param {string|RegExp} text - Placeholder text
+   * @param {{exact?: boolean}} [options]
+   * @returns {Locator}
+   */
+  getByPlaceholder(text, options = {}) {
+    return new Locator(this, { strategy: 'placeholder', value: text, options });
+  }
+
+  /**
+   * Locate an element by data-testid (also data-test-id, data-cy and data-test)
+   * @param {string} testId - Test id
+   * @returns {Locator}
+   */
+  getByTestId(testId) {
+    return new Locator(this, { strategy: 'testId', value: testId, options: {} });
+  }
+
+  /**
+   * Locate an image by its alt text
+   * @param {string|RegExp} text - Alt text
+   * @param {{exact?: boolean}} [options]
+   * @returns {Locator}
+   */
+  getByAltText(text, options = {}) {
+    return new Locator(this, { strategy: 'altText', value: text, options });
+  }
+
+  /**
+   * Locate an element by its title attribute
+   * @param {string|RegExp} text - Title
+   * @param {{exact?: boolean}} [options]
+   * @returns {Locator}
+   */
+  getByTitle(text, options = {}) {
+    return new Locator(this, { strategy: 'title', value: text, options });
   }
 
   log(message) {
     this.logs.push(`[${new Date().toISOString()}] ${message}`);
   }
 }
+
+function describeExpectedRequest(urlPattern, { method, body }) {
+  const withBody = body !== undefined ? ` with body ${JSON.stringify(body)}` : '';
+  return `${method ? `a ${method.toUpperCase()}` : 'a'} request to ${describePattern(urlPattern)}${withBody}`;
+}
+
+/**
+ * Read the storage of the page's site - runs inside the page, so it must be self-contained
+ * @returns {Promise<Object|null>} - { origin, localStorage, sessionStorage, indexedDB }, null for about:blank and data: pages
+ */
+async function readStorage(marker) {
+  if (location.origin === 'null') return null;
+
+  const entries = storage => Object.fromEntries(
+    Object.keys(storage).filter(key => key !== marker).map(key => [key, storage.getItem(key)])
+  );
+  const promised = request => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  const indexedDatabases = [];
+  for (const { name, version } of await indexedDB.databases()) {
+    const database = await promised(indexedDB.open(name));
+    const stores = [];
+    for (const storeName of database.objectStoreNames) {
+      const store = database.transaction(storeName, 'readonly').objectStore(storeName);
+      const [keys, values] = await Promise.all([promised(store.getAllKeys()), promised(store.getAll())]);
+      stores.push({
+        name: storeName,
+        keyPath: store.keyPath,
+        autoIncrement: store.autoIncrement,
+        indexes: [...store.indexNames].map(indexName => {
+          const index = store.index(indexName);
+          return { name: indexName, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+        }),
+        records: keys.map((key, position) => ({ key, value: values[position] }))
+      });
+    }
+    database.close();
+    indexedDatabases.push({ name, version, stores });
+  }
+
+  return {
+    origin: location.origin,
+    localStorage: entries(localStorage),
+    sessionStorage: entries(sessionStorage),
+    indexedDB: indexedDatabases
+  };
+}
+
+/**
+ * Restore saved storage once per tab, before the page's own scripts run
+ * Runs inside every new document of the tab, so it must be self-contained.
+ */
+function restoreStorage(origins, marker) {
+  const saved = origins.find(entry => entry.origin === location.origin);
+  if (!saved || sessionStorage.getItem(marker)) return;
+  sessionStorage.setItem(marker, '1');
+
+  for (const [key, value] of Object.entries(saved.localStorage || {})) localStorage.setItem(key, value);
+  for (const [key, value] of Object.entries(saved.sessionStorage || {})) sessionStorage.setItem(key, value);
+
+  for (const database of saved.indexedDB || []) {
+    const request = indexedDB.open(database.name, database.version);
+    // Records are written in the upgrade transaction, so the page's scripts can only open the database once they are in
+    request.onupgradeneeded = () => {
+      for (const store of database.stores) {
+        const objectStore = request.result.createObjectStore(store.name, { keyPath: store.keyPath, autoIncrement: store.autoIncrement });
+        for (const index of store.indexes) {
+          objectStore.createIndex(index.name, index.keyPath, { unique: index.unique, multiEntry: index.multiEntry });
+        }
+        for (const record of store.records) {
+          if (store.keyPath === null) objectStore.put(record.value, record.key);
+          else objectStore.put(record.value);
+        }
+      }
+    };
+    request.onsuccess = () => request.result.close();
+  }
+}
+
+/**
+ * Reject failOn entries that would never match, like "console.errors" or "500"
+ */
+function checkFailOn(failOn) {
+  if (failOn === undefined || failOn === null) return;
+  if (!Array.isArray(failOn)) {
+    throw new Error(`The failOn option must be a list, like ['pageerror', 'console.error', '5xx']`);
+  }
+  for (const entry of failOn) {
+    if (!FAIL_ON.includes(entry)) {
+      throw new Error(`Unknown failOn entry "${entry}". Use ${FAIL_ON.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Network throttling: 'slow 3g', 'fast 3g', 'slow 4g', 'fast 4g', 'online',
+ * or { download, upload, latency } in bytes per second and milliseconds
+ * @returns {Object|null} - Puppeteer network conditions, null for no throttling
+ */
+function networkConditions(network) {
+  if (network === null || network === false || network === 'online') return null;
+  if (typeof network === 'object') {
+    return { download: -1, upload: -1, latency: 0, ...network };
+  }
+
+  const name = Object.keys(PredefinedNetworkConditions).find(candidate => candidate.toLowerCase() === String(network).toLowerCase());
+  if (!name) {
+    const known = ['offline', 'online', ...Object.keys(PredefinedNetworkConditions).map(candidate => candidate.toLowerCase())];
+    throw new Error(`Unknown network "${network}". Use ${known.map(value => `'${value}'`).join(', ')} or { download, upload, latency }`);
+  }
+  return PredefinedNetworkConditions[name];
+}
+
+function describeEmulation({ device, ...settings }) {
+  const details = Object.entries(settings).map(([name, value]) => `${name}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  return [device, ...details].filter(Boolean).join(', ') || 'nothing';
+}
+
+const KEY_ALIASES = {
+  ctrl: 'Control',
+  control: 'Control',
+  cmd: 'Meta',
+  command: 'Meta',
+  meta: 'Meta',
+  option: 'Alt',
+  alt: 'Alt',
+  shift: 'Shift',
+  esc: 'Escape',
+  return: 'Enter',
+  controlormeta: process.platform === 'darwin' ? 'Meta' : 'Control'
+};
+
+function normalizeKey(key) {
+  return KEY_ALIASES[key.toLowerCase()] || key;
+}
+
+/**
+ * Text assertions: strings are matched as-is (case-sensitive), RegExps are tested
+ */
+function containsText(actual, expected) {
+  if (typeof actual !== 'string') return false;
+  return expected instanceof RegExp ? testPattern(expected, actual) : actual.includes(expected);
+}
+
+function matchesText(actual, expected) {
+  if (typeof actual !== 'string') return false;
+  return expected instanceof RegExp ? testPattern(expected, actual) : actual === expected;
+}
+
+function describeText(expected) {
+  return expected instanceof RegExp ? String(expected) : `"${expected}"`;
+}
+
+function describeActual(actual) {
+  if (actual === undefined || actual === null) return 'not available';
+  const text = String(actual).replace(/\s+/g, ' ').trim();
+  return `"${text.length > 200 ? `${text.slice(0, 200)}…` : text}"`;
+}
@@ -0,0 +1,55 @@
+import puppeteer from 'puppeteer';
+
+/**
+ * BrowserPool - One browser per worker process, shared by all of its tests
+ *
+ * Each test still gets its own incognito BrowserContext from BrowserApp,
+ * so cookies and storage stay isolated between tests.
+ */
+export class BrowserPool {
+  constructor() {
+    this.browsers = new Map();
+  }
+
+  /**
+   * Get the shared browser for a set of launch options, launching it on first use
+   * @param {Object} launchOptions - Puppeteer launch options (headless, timeout)
+   * @returns {Promise<import('puppeteer').Browser>}
+   */
+  async acquire(launchOptions) {
+    const key = JSON.stringify(launchOptions);
+    const existing = this.browsers.get(key);
+
+    if (existing) {
+      const browser = await existing;
+      if (browser.connected) return browser;
+      // The browser crashed, launch a new one below
+      this.browsers.delete(key);
+    }
+
+    // Store the promise so tests starting at the same time share one launch
+    const launching = puppeteer.launch(launchOptions).catch(error => {
+      this.browsers.delete(key);
+      throw error;
+    });
+    this.browsers.set(key, launching);
+    return launching;
+  }
+
+  /**
+   * Close every shared browser (end of the test file)
+   */
+  async closeAll() {
+    const browsers = [...this.browsers.values()];
+    this.browsers.clear();
+
+    for (const launching of browsers) {
+      try {
+        const browser = await launching;
+        await browser.close();
+      } catch (error) {
+        // Launch failed or browser already gone, nothing to close
+      }
+    }
+  }
+}
@@ -0,0 +1,294 @@
+import { readFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { dirname, resolve, basename, extname } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+/**
+ * Project configuration (latte.config.js / .ts / .json)
+ *
+ * Loaded by the CLI (test discovery, workers, reporters, global setup, auth)
+ * and by every test process (browser defaults, baseURL, retries).
+ */
+
+export const CONFIG_FILES = [
+  'latte.config.js',
+  'latte.config.mjs',
+  'latte.config.ts',
+  'latte.config.json'
+];
+
+export const defaultConfig = {
+  baseURL: null,
+  browser: {},
+  testMatch: [
+    '**/*.latte.{js,ts,tsx}',
+    '**/*.test.{js,ts,tsx}',
+    '**/*.spec.{js,ts,tsx}'
+  ],
+  // Folders matching testIgnore are not searched at all
+  testIgnore: ['**/node_modules/**', '**/.*/**'],
+  globalSetup: null,
+  globalTeardown: null,
+  // State file -> async (app) => { log in }, run once before the tests
+  auth: {},
+  reporters: [],
+  retries: 0,
+  workers: null,
+  artifactsDir: null,
+  har: {
+    dir: 'hars',
+    // true ignores the whole query string, an array ignores only these parameters
+    ignoreQuery: false,
+    // Requests with a body (POST, PUT...) only match a recording with the same body hash
+    matchBody: true
+  },
+  profiles: {},
+  // Variants the whole suite runs once for: { name, browser, baseURL, retries }
+  projects: []
+};
+
+/**
+ * Helper for editor autocompletion in latte.config.js/ts
+ * @param {Object} config - Project configuration
+ * @returns {Object} - The same configuration
+ */
+export function defineConfig(config) {
+  return config;
+}
+
+/**
+ * Find the config file of a project
+ * @param {string} cwd - Project directory
+ * @returns {string|null} - Absolute path of the config file
+ */
+export function findConfigFile(cwd = process.cwd()) {
+  for (const name of CONFIG_FILES) {
+    const file = resolve(cwd, name);
+    if (existsSync(file)) return file;
+  }
+  return null;
+}
+
+/**
+ * Load the project configuration, merged over the defaults
+ * @param {Object} options
+ * @param {string} [options.cwd] - Directory to look for latte.config.* in
+ * @param {string} [options.configPath] - Explicit config file (--config)
+ * @param {string} [options.profile] - Named profile to apply (--profile)
+ * @param {string} [options.project] - Project whose options apply (set by the CLI for each test process)
+ * @returns {Promise<Object>} - Resolved configuration, with configFile and rootDir
+ */
+export async function loadConfig({ cwd = process.cwd(), configPath = null, profile = null, project = null } = {}) {
+  const configFile = configPath ? resolve(cwd, configPath) : findConfigFile(cwd);
+
+  if (configPath && !existsSync(configFile)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  const userConfig = configFile ? await importConfigFile(configFile) : {};
+  let config = mergeConfig(defaultConfig, userConfig);
+
+  if (profile) {
+    const profiles = config.profiles || {};
+    if (!profiles[profile]) {
+      const available = Object.keys(profiles);
+      throw new Error(`Unknown profile "${profile}". ${available.length > 0 ? `Available profiles: ${available.join(', ')}` : 'No profiles are defined in the config file.'}`);
+    }
+    config = mergeConfig(config, profiles[profile]);
+  }
+
+  validateProjects(config.projects);
+  if (project) {
+    const selected = config.projects.find(candidate => candidate.name === project);
+    if (!selected) {
+      throw new Error(`Unknown project "${project}". ${describeProjects(config.projects)}`);
+    }
+    config = applyProject(config, selected);
+  }
+
+  const rootDir = configFile ? dirname(configFile) : cwd;
+
+  return {
+    ...config,
+    profile,
+    project,
+    configFile,
+    rootDir,
+    artifactsDir: config.artifactsDir ? resolve(rootDir, config.artifactsDir) : null,
+    // Like the auth files, a default state file is relative to the config file
+    browser: typeof config.browser.state === 'string'
+      ? { ...config.browser, state: resolve(rootDir, config.browser.state) }
+      : config.browser,
+    har: { ...config.har, dir: resolve(rootDir, config.har.dir) }
+  };
+}
+
+/**
+ * Check the names of the projects the CLI selects with --project
+ * @param {Array} projects - The projects config option
+ */
+export function validateProjects(projects) {
+  if (!Array.isArray(projects)) {
+    throw new Error('projects must be an array, like [{ name: "mobile", browser: { device: "iPhone 15" } }]');
+  }
+
+  const names = new Set();
+  for (const project of projects) {
+    if (!project || typeof project.name !== 'string' || project.name === '') {
+      throw new Error('Every project needs a name, like { name: "mobile", browser: { device: "iPhone 15" } }');
+    }
+    if (names.has(project.name)) {
+      throw new Error(`Two projects are named "${project.name}"`);
+    }
+    names.add(project.name);
+  }
+}
+
+/**
+ * List the project names for error messages
+ * @param {Array} projects - Validated projects
+ */
+export function describeProjects(projects) {
+  return projects.length > 0
+    ? `Available projects: ${projects.map(project => project.name).join(', ')}`
+    : 'No projects are defined in the config file.';
+}
+
+/**
+ * Apply a project's options over the config
+ */
+function applyProject(config, { name, ...options }) {
+  const merged = mergeConfig(config, options);
+  const browser = options.browser || {};
+
+  // A project's device replaces the shared screen size, and its viewport the shared device
+  if (browser.device && !browser.viewport) delete merged.browser.viewport;
+  if (browser.viewport && !browser.device) delete merged.browser.device;
+  return merged;
+}
+
+/**
+ * Import a config file, whatever its format
+ * @param {string} file - Absolute path of the config file
+ * @returns {Promise<Object>}
+ */
+async function importConfigFile(file) {
+  const extension = extname(file);
+
+  try {
+    if (extension === '.json') {
+      return JSON.parse(await readFile(file, 'utf8'));
+    }
+
+    const config = defaultExport(await importModule(file));
+    return typeof config === 'function' ? await config() : config;
+  } catch (error) {
+    throw new Error(`Failed to load ${basename(file)}: ${error.message}`);
+  }
+}
+
+/**
+ * Import a project module (config, global setup, reporter), TypeScript included
+ * @param {string} file - Absolute path of the module
+ * @returns {Promise<Object>} - Module namespace
+ */
+export async function importModule(file) {
+  if (/\.(ts|tsx|mts|cts)$/.test(file)) {
+    // The CLI runs on plain Node.js, so TypeScript modules go through tsx
+    const { tsImport } = await import('tsx/esm/api');
+    return tsImport(pathToFileURL(file).href, import.meta.url);
+  }
+  return import(pathToFileURL(file).href);
+}
+
+/**
+ * Get the default export of a module, also when a TypeScript/CommonJS
+ * module arrives wrapped as { default: { default: ... } }
+ * @param {Object} module - Module namespace
+ */
+export function defaultExport(module) {
+  let exported = module.default ?? module;
+  if (exported && typeof exported === 'object' && 'default' in exported) {
+    exported = exported.default;
+  }
+  return exported;
+}
+
+/**
+ * Merge config objects: plain objects are merged deeply, everything else is replaced
+ */
+export function mergeConfig(base, override) {
+  const result = { ...base };
+
+  for (const [key, value] of Object.entries(override || {})) {
+    if (isPlainObject(value) && isPlainObject(base[key])) {
+      result[key] = mergeConfig(base[key], value);
+    } else if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+}
+
+/**
+ * Convert a glob to a regular expression
+ * Supports *, **, ? and {a,b} alternatives.
+ * @param {string} glob - e.g. "tests/**\/*.test.{js,ts}"
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" matches any number of folders, including none
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check a path against a list of globs
+ * Globs without a slash match the file name in any folder (like .gitignore).
+ * @param {string} relativePath - Path relative to the project root, with forward slashes
+ * @param {string[]} globs - Glob patterns
+ * @returns {boolean}
+ */
+export function matchesGlobs(relativePath, globs) {
+  const fileName = relativePath.split('/').pop();
+
+  return globs.some(glob => {
+    const pattern = globToRegExp(glob.replace(/^\.\//, ''));
+    return glob.includes('/') ? pattern.test(relativePath) : pattern.test(fileName);
+  });
+}
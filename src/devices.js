@@ -0,0 +1,65 @@
+/**
+ * Devices - phones, tablets and desktops for app.emulate() and the device option
+ *
+ * Viewports are in CSS pixels, as the page sees them. Add " landscape"
+ * to a name to turn the device sideways, e.g. "iPad Mini landscape".
+ */
+
+const IOS_17 = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+const IPADOS_17 = 'Mozilla/5.0 (iPad; CPU OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+const android = model => `Mozilla/5.0 (Linux; Android 14; ${model}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36`;
+const phone = (userAgent, width, height, deviceScaleFactor) => ({
+  userAgent,
+  viewport: { width, height, deviceScaleFactor, isMobile: true, hasTouch: true }
+});
+const desktop = (width, height, deviceScaleFactor) => ({
+  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
+  viewport: { width, height, deviceScaleFactor, isMobile: false, hasTouch: false }
+});
+
+export const devices = {
+  'iPhone SE': phone(IOS_17, 375, 667, 2),
+  'iPhone 12': phone(IOS_17, 390, 844, 3),
+  'iPhone 13': phone(IOS_17, 390, 844, 3),
+  'iPhone 14': phone(IOS_17, 390, 844, 3),
+  'iPhone 14 Pro Max': phone(IOS_17, 430, 932, 3),
+  'iPhone 15': phone(IOS_17, 393, 852, 3),
+  'iPhone 15 Pro': phone(IOS_17, 393, 852, 3),
+  'iPhone 15 Pro Max': phone(IOS_17, 430, 932, 3),
+  'Pixel 5': phone(android('Pixel 5'), 393, 851, 2.75),
+  'Pixel 7': phone(android('Pixel 7'), 412, 915, 2.625),
+  'Pixel 8': phone(android('Pixel 8'), 412, 915, 2.625),
+  'Galaxy S9+': phone(android('SM-G965U'), 320, 658, 4.5),
+  'Galaxy S23': phone(android('SM-S911B'), 360, 780, 3),
+  'Galaxy Tab S8': phone(android('SM-X700').replace(' Mobile', ''), 800, 1280, 2),
+  'iPad Mini': phone(IPADOS_17, 768, 1024, 2),
+  'iPad Air': phone(IPADOS_17, 820, 1180, 2),
+  'iPad Pro 11': phone(IPADOS_17, 834, 1194, 2),
+  'iPad Pro 12.9': phone(IPADOS_17, 1024, 1366, 2),
+  'Desktop': desktop(1280, 720, 1),
+  'Desktop HiDPI': desktop(1280, 720, 2),
+  'Desktop Full HD': desktop(1920, 1080, 1)
+};
+
+/**
+ * Look up a device by name, case-insensitive
+ * @param {string} name - e.g. "iPhone 15", "pixel 7", "iPad Mini landscape"
+ * @returns {{userAgent: string, viewport: Object}}
+ */
+export function findDevice(name) {
+  const landscape = /\s+landscape$/i.test(name);
+  const baseName = name.replace(/\s+landscape$/i, '').trim().toLowerCase();
+  const key = Object.keys(devices).find(candidate => candidate.toLowerCase() === baseName);
+
+  if (!key) {
+    throw new Error(`Unknown device "${name}". Known devices: ${Object.keys(devices).join(', ')}`);
+  }
+
+  const { userAgent, viewport } = devices[key];
+  if (!landscape) return { userAgent, viewport: { ...viewport } };
+  return {
+    userAgent,
+    viewport: { ...viewport, width: viewport.height, height: viewport.width, isLandscape: true }
+  };
+}
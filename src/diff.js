@@ -0,0 +1,187 @@
+/**
+ * Diff - readable values and line diffs for assertion failures
+ *
+ * Values are printed one property per line with sorted keys, so two
+ * objects diff line by line. Colours are used when the output is a
+ * terminal (or FORCE_COLOR is set) and NO_COLOR is not.
+ */
+
+const COLORS = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  dim: '\x1b[2m',
+  reset: '\x1b[0m'
+};
+
+// Unchanged lines kept around each change
+const CONTEXT_LINES = 3;
+// Past this size a diff is too slow to compute and too long to read
+const MAX_DIFF_LINES = 1000;
+
+/**
+ * Whether failure messages should contain ANSI colours
+ * @returns {boolean}
+ */
+export function colorsEnabled() {
+  if (process.env.NO_COLOR) return false;
+  if (process.env.FORCE_COLOR && process.env.FORCE_COLOR !== '0') return true;
+  return Boolean(process.stdout && process.stdout.isTTY);
+}
+
+export function colorize(text, color) {
+  return colorsEnabled() ? `${COLORS[color]}${text}${COLORS.reset}` : text;
+}
+
+/**
+ * Remove ANSI colours, for reports written to files
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripColors(text) {
+  return String(text).replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+/**
+ * Print a value for a failure message
+ * @param {*} value - Any value; objects are printed over several lines
+ * @returns {string}
+ */
+export function format(value) {
+  return formatValue(value, '', new Set());
+}
+
+/**
+ * Print a value on one line when it is short enough, for the first line of a message
+ * @param {*} value
+ * @param {number} [maxLength]
+ * @returns {string}
+ */
+export function formatShort(value, maxLength = 80) {
+  const text = format(value);
+  if (!text.includes('\n')) return text;
+
+  const inline = text
+    .split('\n')
+    .map(line => line.trim())
+    .join(' ')
+    .replace(/,\s*([\]}])/g, ' $1');
+  return inline.length <= maxLength ? inline : text;
+}
+
+function formatValue(value, indent, seen) {
+  if (value === null) return 'null';
+  if (value === undefined) return 'undefined';
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'number') return Object.is(value, -0) ? '-0' : String(value);
+  if (typeof value === 'bigint') return `${value}n`;
+  if (typeof value === 'symbol') return value.toString();
+  if (typeof value === 'function') return value.name ? `[Function ${value.name}]` : '[Function]';
+  if (typeof value !== 'object') return String(value);
+
+  // Asymmetric matchers like expect.any(Number)
+  if (typeof value.asymmetricMatch === 'function') return value.toString();
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? 'Invalid Date' : `Date(${value.toISOString()})`;
+  if (value instanceof RegExp) return String(value);
+  if (value instanceof Error) return `[${value.name}: ${value.message}]`;
+  if (seen.has(value)) return '[Circular]';
+
+  seen.add(value);
+  const inner = `${indent}  `;
+  let text;
+
+  if (Array.isArray(value)) {
+    text = value.length === 0
+      ? '[]'
+      : `[\n${value.map(item => `${inner}${formatValue(item, inner, seen)},`).join('\n')}\n${indent}]`;
+  } else if (value instanceof Map) {
+    const entries = [...value].map(([key, item]) => `${inner}${formatValue(key, inner, seen)} => ${formatValue(item, inner, seen)},`);
+    text = entries.length === 0 ? 'Map {}' : `Map {\n${entries.join('\n')}\n${indent}}`;
+  } else if (value instanceof Set) {
+    const items = [...value].map(item => `${inner}${formatValue(item, inner, seen)},`);
+    text = items.length === 0 ? 'Set {}' : `Set {\n${items.join('\n')}\n${indent}}`;
+  } else {
+    const name = value.constructor && value.constructor !== Object ? `${value.constructor.name} ` : '';
+    const keys = Object.keys(value).sort();
+    const properties = keys.map(key => `${inner}${formatKey(key)}: ${formatValue(value[key], inner, seen)},`);
+    text = properties.length === 0 ? `${name}{}` : `${name}{\n${properties.join('\n')}\n${indent}}`;
+  }
+
+  seen.delete(value);
+  return text;
+}
+
+function formatKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Line diff of two values, expected lines marked "-" and received lines "+"
+ * @param {*} expected
+ * @param {*} received
+ * @returns {string|null} - null when the values print the same (nothing useful to show)
+ */
+export function diff(expected, received) {
+  const expectedLines = format(expected).split('\n');
+  const receivedLines = format(received).split('\n');
+  if (expectedLines.join('\n') === receivedLines.join('\n')) return null;
+
+  const header = `${colorize('- Expected', 'green')}\n${colorize('+ Received', 'red')}\n\n`;
+
+  if (expectedLines.length + receivedLines.length > MAX_DIFF_LINES) {
+    return header +
+      expectedLines.map(line => colorize(`- ${line}`, 'green')).join('\n') + '\n' +
+      receivedLines.map(line => colorize(`+ ${line}`, 'red')).join('\n');
+  }
+
+  return header + renderChanges(diffLines(expectedLines, receivedLines));
+}
+
+/**
+ * Longest common subsequence of two line lists
+ * @returns {Array<{type: 'same'|'removed'|'added', line: string}>}
+ */
+function diffLines(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: 'same', line: a[i++] });
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      changes.push({ type: 'removed', line: a[i++] });
+    } else {
+      changes.push({ type: 'added', line: b[j++] });
+    }
+  }
+  while (i < a.length) changes.push({ type: 'removed', line: a[i++] });
+  while (j < b.length) changes.push({ type: 'added', line: b[j++] });
+  return changes;
+}
+
+function renderChanges(changes) {
+  const near = changes.map((change, index) =>
+    changes.slice(Math.max(0, index - CONTEXT_LINES), index + CONTEXT_LINES + 1).some(other => other.type !== 'same')
+  );
+
+  const lines = [];
+  changes.forEach((change, index) => {
+    if (!near[index]) {
+      if (index === 0 || near[index - 1]) lines.push(colorize('  ...', 'dim'));
+      return;
+    }
+    if (change.type === 'removed') lines.push(colorize(`- ${change.line}`, 'green'));
+    else if (change.type === 'added') lines.push(colorize(`+ ${change.line}`, 'red'));
+    else lines.push(colorize(`  ${change.line}`, 'dim'));
+  });
+  return lines.join('\n');
+}
@@ -0,0 +1,12 @@
+/**
+ * Error helpers shared by the runner and soft assertions
+ */
+
+/**
+ * Text of a thrown value: tests may throw strings or other non-Error values
+ * @param {*} error
+ * @returns {string}
+ */
+export function errorMessage(error) {
+  return error instanceof Error ? error.message : String(error);
+}
@@ -1,8 +1,23 @@
+import { Locator, countElements, locateOnce, testPattern } from './locators.js';
+import { inspectElement } from './actionability.js';
+import { diff, format, formatShort } from './diff.js';
+import { softly } from './soft.js';
+
 /**
  * Simple assertion library for Latte
  * Provides basic expect functionality with readable error messages
+ *
+ * Objects that don't match are shown as a line diff, and
+ * expect.extend() adds team-specific matchers.
+ *
+ * Locators and the app get async matchers that retry until the app's timeout:
+ *   await expect(app.locator('#cart-count')).toHaveText('3');
+ *   await expect(app).toHaveURL(/checkout/);
  */
 
+// Last value read when the element was not in the page
+const NOT_FOUND = Symbol('not found');
+
 class ExpectationError extends Error {
   constructor(message) {
     super(message);
@@ -14,34 +29,61 @@ class Expectation {
   constructor(actual) {
     this.actual = actual;
     this.isNegated = false;
+    // Set by .rejects: actual is the rejection reason
+    this.fromRejects = false;
   }
 
   get not() {
     const negated = new Expectation(this.actual);
     negated.isNegated = !this.isNegated;
+    negated.fromRejects = this.fromRejects;
     return negated;
   }
 
+  /**
+   * Matchers applied to the value the promise resolves with
+   * e.g. await expect(fetchTotal()).resolves.toBe(42)
+   */
+  get resolves() {
+    return promiseMatchers(this.actual, 'resolves', this.isNegated);
+  }
+
+  /**
+   * Matchers applied to the error the promise rejects with
+   * e.g. await expect(app.click('#missing')).rejects.toThrow(/not found/)
+   */
+  get rejects() {
+    return promiseMatchers(this.actual, 'rejects', this.isNegated);
+  }
+
   toBe(expected) {
     const passed = Object.is(this.actual, expected);
     const shouldPass = this.isNegated ? !passed : passed;
 
     if (!shouldPass) {
-      const message = this.isNegated
+      let message = this.isNegated
         ? `Expected ${this.formatValue(this.actual)} not to be ${this.formatValue(expected)}`
         : `Expected ${this.formatValue(this.actual)} to be ${this.formatValue(expected)}`;
+      if (!this.isNegated && typeof expected === 'object' && expected !== null && equals(this.actual, expected)) {
+        message += '\nThey are equal but not the same object, use toEqual() to compare their content';
+      }
       throw new ExpectationError(message);
     }
   }
 
   toEqual(expected) {
-    const passed = this.deepEqual(this.actual, expected);
+    const passed = equals(this.actual, expected);
     const shouldPass = this.isNegated ? !passed : passed;
 
     if (!shouldPass) {
       const message = this.isNegated
         ? `Expected ${this.formatValue(this.actual)} not to equal ${this.formatValue(expected)}`
-        : `Expected ${this.formatValue(this.actual)} to equal ${this.formatValue(expected)}`;
+        : this.describeDifference(
+          'Values are not equal',
+          `Expected ${this.formatValue(this.actual)} to equal ${this.formatValue(expected)}`,
+          expected,
+          this.actual
+        );
       throw new ExpectationError(message);
     }
   }
@@ -67,38 +109,77 @@ class Expectation {
     }
   }
 
-  toThrow(expectedMessage) {
+  /**
+   * Function throws; for async functions and .rejects, await the result
+   * @param {string|RegExp|Function|Error} [expected] - Part of the message, a RegExp for it, an error class or an error with the same message
+   * @returns {void|Promise<void>}
+   */
+  toThrow(expected) {
+    if (this.fromRejects) {
+      return this.checkThrown(true, this.actual, expected);
+    }
+
     if (typeof this.actual !== 'function') {
       throw new ExpectationError('Expected value must be a function when using toThrow');
     }
 
-    let threwError = false;
-    let actualError = null;
-
+    let result;
     try {
-      this.actual();
+      result = this.actual();
     } catch (error) {
-      threwError = true;
-      actualError = error;
+      return this.checkThrown(true, error, expected);
     }
 
-    const shouldThrow = !this.isNegated;
-
-    if (shouldThrow && !threwError) {
-      throw new ExpectationError('Expected function to throw an error, but it did not');
+    if (result && typeof result.then === 'function') {
+      return result.then(
+        () => this.checkThrown(false, null, expected),
+        error => this.checkThrown(true, error, expected)
+      );
     }
+    return this.checkThrown(false, null, expected);
+  }
+
+  checkThrown(threwError, actualError, expected) {
+    const what = this.fromRejects ? 'promise' : 'function';
 
-    if (!shouldThrow && threwError) {
-      throw new ExpectationError(`Expected function not to throw, but it threw: ${actualError.message}`);
+    if (!threwError) {
+      if (!this.isNegated) {
+        throw new ExpectationError(`Expected ${what} to throw an error, but it did not`);
+      }
+      return;
     }
 
-    if (expectedMessage && threwError) {
-      const messageMatches = actualError.message.includes(expectedMessage);
-      if (!messageMatches) {
-        throw new ExpectationError(
-          `Expected error message to contain "${expectedMessage}", but got "${actualError.message}"`
-        );
+    const message = errorMessage(actualError);
+    if (expected === undefined) {
+      if (this.isNegated) {
+        throw new ExpectationError(`Expected ${what} not to throw, but it threw: ${message}`);
       }
+      return;
+    }
+
+    let matches;
+    let expectation;
+    if (expected instanceof RegExp) {
+      matches = testPattern(expected, message);
+      expectation = `error message to match ${expected}`;
+    } else if (typeof expected === 'function') {
+      matches = actualError instanceof expected;
+      expectation = `${what} to throw ${expected.name || 'the given error class'}`;
+    } else if (expected instanceof Error) {
+      matches = message === expected.message;
+      expectation = `error message to be "${expected.message}"`;
+    } else {
+      matches = message.includes(expected);
+      expectation = `error message to contain "${expected}"`;
+    }
+
+    if (matches === this.isNegated) {
+      const received = typeof expected === 'function' && !(expected instanceof RegExp)
+        ? `${actualError && actualError.name ? `${actualError.name}: ` : ''}${message}`
+        : `"${message}"`;
+      throw new ExpectationError(
+        `Expected ${this.isNegated ? expectation.replace(/ to /, ' not to ') : expectation}, but got ${received}`
+      );
     }
   }
 
@@ -150,55 +231,640 @@ class Expectation {
     }
   }
 
+  toBeGreaterThan(expected) {
+    this.checkNumber('toBeGreaterThan', expected);
+    this.assert(this.actual > expected,
+      `Expected ${this.formatValue(this.actual)} to be greater than ${this.formatValue(expected)}`,
+      `Expected ${this.formatValue(this.actual)} not to be greater than ${this.formatValue(expected)}`);
+  }
+
+  toBeGreaterThanOrEqual(expected) {
+    this.checkNumber('toBeGreaterThanOrEqual', expected);
+    this.assert(this.actual >= expected,
+      `Expected ${this.formatValue(this.actual)} to be greater than or equal to ${this.formatValue(expected)}`,
+      `Expected ${this.formatValue(this.actual)} not to be greater than or equal to ${this.formatValue(expected)}`);
+  }
+
+  toBeLessThan(expected) {
+    this.checkNumber('toBeLessThan', expected);
+    this.assert(this.actual < expected,
+      `Expected ${this.formatValue(this.actual)} to be less than ${this.formatValue(expected)}`,
+      `Expected ${this.formatValue(this.actual)} not to be less than ${this.formatValue(expected)}`);
+  }
+
+  toBeLessThanOrEqual(expected) {
+    this.checkNumber('toBeLessThanOrEqual', expected);
+    this.assert(this.actual <= expected,
+      `Expected ${this.formatValue(this.actual)} to be less than or equal to ${this.formatValue(expected)}`,
+      `Expected ${this.formatValue(this.actual)} not to be less than or equal to ${this.formatValue(expected)}`);
+  }
+
+  /**
+   * Number is equal once rounded, for floating point results (0.1 + 0.2)
+   * @param {number} expected
+   * @param {number} [digits] - Decimal places that must match (default 2)
+   */
+  toBeCloseTo(expected, digits = 2) {
+    this.checkNumber('toBeCloseTo', expected);
+    const difference = Math.abs(expected - this.actual);
+    const passed = this.actual === expected || difference < 10 ** -digits / 2;
+    this.assert(passed,
+      `Expected ${this.formatValue(this.actual)} to be close to ${this.formatValue(expected)} (${digits} decimal places), but the difference is ${difference}`,
+      `Expected ${this.formatValue(this.actual)} not to be close to ${this.formatValue(expected)} (${digits} decimal places)`);
+  }
+
+  /**
+   * String contains a text or matches a RegExp
+   * @param {string|RegExp} expected
+   */
+  toMatch(expected) {
+    if (typeof this.actual !== 'string') {
+      throw new ExpectationError(`toMatch() needs a string, but got ${this.formatValue(this.actual)}`);
+    }
+    const passed = expected instanceof RegExp ? testPattern(expected, this.actual) : this.actual.includes(expected);
+    this.assert(passed,
+      `Expected ${this.formatValue(this.actual)} to match ${this.formatExpected(expected)}`,
+      `Expected ${this.formatValue(this.actual)} not to match ${this.formatExpected(expected)}`);
+  }
+
+  /**
+   * Object has at least these properties (recursively); other properties are ignored
+   * @param {Object|Object[]} expected
+   */
+  toMatchObject(expected) {
+    if (typeof this.actual !== 'object' || this.actual === null) {
+      throw new ExpectationError(`toMatchObject() needs an object, but got ${this.formatValue(this.actual)}`);
+    }
+    const passed = matchesObject(this.actual, expected);
+    const shouldPass = this.isNegated ? !passed : passed;
+
+    if (!shouldPass) {
+      const message = this.isNegated
+        ? `Expected ${this.formatValue(this.actual)} not to match object ${this.formatValue(expected)}`
+        : this.describeDifference(
+          'Object does not match',
+          `Expected ${this.formatValue(this.actual)} to match object ${this.formatValue(expected)}`,
+          expected,
+          pickLike(this.actual, expected)
+        );
+      throw new ExpectationError(message);
+    }
+  }
+
+  toHaveLength(expected) {
+    const length = this.actual !== null && this.actual !== undefined ? this.actual.length : undefined;
+    if (typeof length !== 'number') {
+      throw new ExpectationError(`toHaveLength() needs a string, an array or something with a length, but got ${this.formatValue(this.actual)}`);
+    }
+    this.assert(length === expected,
+      `Expected length ${expected}, but the length is ${length}: ${this.formatValue(this.actual)}`,
+      `Expected length not to be ${expected}: ${this.formatValue(this.actual)}`);
+  }
+
+  /**
+   * Object has a property, optionally equal to a value
+   * @param {string|Array<string|number>} path - "total", "items[0].price", "user.address.city" or ['user', 'address']
+   * @param {*} [expected] - Omit to only check the property exists
+   */
+  toHaveProperty(path, ...expected) {
+    const keys = Array.isArray(path) ? path : String(path).replace(/\[(\w+)\]/g, '.$1').split('.').filter(Boolean);
+    const name = Array.isArray(path) ? keys.join('.') : path;
+
+    let current = this.actual;
+    let found = true;
+    for (const key of keys) {
+      if (current === null || current === undefined || !(key in Object(current))) {
+        found = false;
+        break;
+      }
+      current = current[key];
+    }
+
+    if (expected.length === 0) {
+      this.assert(found,
+        `Expected ${this.formatValue(this.actual)} to have property "${name}"`,
+        `Expected ${this.formatValue(this.actual)} not to have property "${name}"`);
+      return;
+    }
+
+    const passed = found && equals(current, expected[0]);
+    if (passed !== this.isNegated) return;
+
+    let message;
+    if (this.isNegated) {
+      message = `Expected property "${name}" not to equal ${this.formatValue(expected[0])}`;
+    } else if (!found) {
+      message = `Expected ${this.formatValue(this.actual)} to have property "${name}"`;
+    } else {
+      message = this.describeDifference(
+        `Property "${name}" is not equal`,
+        `Expected property "${name}" to equal ${this.formatValue(expected[0])}, but it was ${this.formatValue(current)}`,
+        expected[0],
+        current
+      );
+    }
+    throw new ExpectationError(message);
+  }
+
+  toBeInstanceOf(expected) {
+    if (typeof expected !== 'function') {
+      throw new ExpectationError(`toBeInstanceOf() needs a class, but got ${this.formatValue(expected)}`);
+    }
+    const type = this.actual !== null && this.actual !== undefined && this.actual.constructor ? this.actual.constructor.name : typeof this.actual;
+    this.assert(this.actual instanceof expected,
+      `Expected ${this.formatValue(this.actual)} to be an instance of ${expected.name}, but got ${type}`,
+      `Expected ${this.formatValue(this.actual)} not to be an instance of ${expected.name}`);
+  }
+
+  /**
+   * Element text (whitespace collapsed) is exactly a string, or matches a RegExp
+   * @param {string|RegExp} expected
+   * @param {{timeout?: number}} [options]
+   */
+  async toHaveText(expected, options = {}) {
+    const locator = this.locatorFor('toHaveText');
+    await this.retryOnPage(locator.app, {
+      read: () => readElement(locator, (page, selector) => page.$eval(selector, element => element.innerText)),
+      check: text => matchesText(normalizeText(text), expected),
+      expectation: `to have text ${this.formatExpected(expected)}`,
+      received: text => `its text was ${this.formatValue(normalizeText(text))}`,
+      ...options
+    });
+  }
+
+  /**
+   * Element is visible (not display: none, visibility: hidden or zero-sized)
+   * @param {{timeout?: number}} [options]
+   */
+  async toBeVisible(options = {}) {
+    const locator = this.locatorFor('toBeVisible');
+    await this.retryOnPage(locator.app, {
+      read: async () => {
+        const state = await readElement(locator, (page, selector) => page.evaluate(inspectElement, selector, ['visible']));
+        return state === NOT_FOUND ? { ok: false, reason: 'is not in the page' } : state;
+      },
+      check: state => state.ok,
+      expectation: 'to be visible',
+      received: state => state.ok ? 'it is visible' : `it ${state.reason}`,
+      ...options
+    });
+  }
+
+  /**
+   * Value of an input, textarea or select is exactly a string, or matches a RegExp
+   * @param {string|RegExp} expected
+   * @param {{timeout?: number}} [options]
+   */
+  async toHaveValue(expected, options = {}) {
+    const locator = this.locatorFor('toHaveValue');
+    await this.retryOnPage(locator.app, {
+      read: () => readElement(locator, (page, selector) => page.$eval(selector, element => element.value)),
+      check: value => matchesText(value, expected),
+      expectation: `to have value ${this.formatExpected(expected)}`,
+      received: value => value === undefined ? 'it has no value (not a form field)' : `its value was ${this.formatValue(value)}`,
+      ...options
+    });
+  }
+
+  /**
+   * Element has an attribute, optionally with an exact value or one matching a RegExp
+   * @param {string} name - Attribute name
+   * @param {string|RegExp} [expected] - Omit to only check the attribute is there
+   * @param {{timeout?: number}} [options]
+   */
+  async toHaveAttribute(name, expected, options = {}) {
+    const locator = this.locatorFor('toHaveAttribute');
+    await this.retryOnPage(locator.app, {
+      read: () => readElement(locator, (page, selector) => page.$eval(selector, (element, attribute) => element.getAttribute(attribute), name)),
+      check: value => expected === undefined ? value !== null : matchesText(value, expected),
+      expectation: expected === undefined ? `to have attribute ${name}` : `to have ${name}=${this.formatExpected(expected)}`,
+      received: value => value === null ? `it has no ${name} attribute` : `${name} was ${this.formatValue(value)}`,
+      ...options
+    });
+  }
+
+  /**
+   * Number of elements the locator matches
+   * @param {number} expected
+   * @param {{timeout?: number}} [options]
+   */
+  async toHaveCount(expected, options = {}) {
+    const locator = this.locatorFor('toHaveCount');
+    await this.retryOnPage(locator.app, {
+      read: () => countElements(locator.app.scope, locator),
+      check: count => count === expected,
+      expectation: `to match ${expected} element${expected === 1 ? '' : 's'}`,
+      received: count => `it matched ${count}`,
+      ...options
+    });
+  }
+
+  /**
+   * URL of the page: exact (relative to baseURL, or a path like "/cart") or matching a RegExp
+   * @param {string|RegExp} expected
+   * @param {{timeout?: number}} [options]
+   */
+  async toHaveURL(expected, options = {}) {
+    if (!isApp(this.actual)) {
+      throw new ExpectationError('toHaveURL() works on the app, e.g. await expect(app).toHaveURL("/checkout")');
+    }
+    const app = this.actual;
+    await this.retryOnPage(app, {
+      subject: 'URL',
+      read: () => app.page.url(),
+      check: url => app.isUrl(url, expected),
+      expectation: `to be ${this.formatExpected(expected)}`,
+      received: url => `it was ${this.formatValue(url)}`,
+      ...options
+    });
+  }
+
   // Helper methods
+  locatorFor(matcher) {
+    if (!(this.actual instanceof Locator)) {
+      throw new ExpectationError(`${matcher}() works on locators, e.g. await expect(app.locator("#total")).${matcher}(...)`);
+    }
+    return this.actual;
+  }
+
+  /**
+   * Read the page until check() passes (or fails, with .not) or the timeout is reached
+   */
+  async retryOnPage(app, { subject = String(this.actual), read, check, expectation, received, timeout = app.options.timeout }) {
+    const { passed, actual, error } = await app.retryAssertion(
+      read,
+      state => state !== NOT_FOUND && Boolean(check(state)) !== this.isNegated,
+      timeout
+    );
+    if (passed) return;
+
+    let description;
+    if (error) description = error.message;
+    else if (actual === NOT_FOUND) description = 'the element was not found';
+    else description = received(actual);
+    throw new ExpectationError(`Expected ${subject} ${this.isNegated ? 'not ' : ''}${expectation} but ${description} (waited ${timeout}ms)`);
+  }
+
+  formatExpected(expected) {
+    return expected instanceof RegExp ? String(expected) : this.formatValue(expected);
+  }
+
   formatValue(value) {
-    if (value === null) return 'null';
-    if (value === undefined) return 'undefined';
-    if (typeof value === 'string') return `"${value}"`;
-    if (typeof value === 'function') return '[Function]';
-    if (typeof value === 'object') {
-      try {
-        return JSON.stringify(value, null, 2);
-      } catch {
-        return '[Object]';
+    return formatShort(value);
+  }
+
+  deepEqual(a, b) {
+    return equals(a, b);
+  }
+
+  /**
+   * Throw unless passed (or, with .not, unless it failed)
+   */
+  assert(passed, message, negatedMessage) {
+    if (Boolean(passed) === this.isNegated) {
+      throw new ExpectationError(this.isNegated ? negatedMessage : message);
+    }
+  }
+
+  checkNumber(matcher, expected) {
+    for (const value of [this.actual, expected]) {
+      if (typeof value !== 'number' && typeof value !== 'bigint') {
+        throw new ExpectationError(`${matcher}() needs numbers, but got ${this.formatValue(value)}`);
       }
     }
-    return String(value);
   }
 
-  deepEqual(a, b) {
-    if (Object.is(a, b)) return true;
-    
-    if (a === null || b === null) return false;
-    if (typeof a !== typeof b) return false;
-    
-    if (typeof a === 'object') {
-      if (Array.isArray(a) !== Array.isArray(b)) return false;
-      
-      const keysA = Object.keys(a);
-      const keysB = Object.keys(b);
-      
-      if (keysA.length !== keysB.length) return false;
-      
-      for (const key of keysA) {
-        if (!keysB.includes(key)) return false;
-        if (!this.deepEqual(a[key], b[key])) return false;
+  /**
+   * Failure message, with a line diff when the values don't fit on one line
+   * @param {string} summary - First line when a diff follows, e.g. "Values are not equal"
+   * @param {string} short - One-line message when the values are short
+   */
+  describeDifference(summary, short, expected, received) {
+    // Short values compare fine on one line
+    if (!short.includes('\n') && short.length <= 100) return short;
+
+    const difference = diff(expected, received);
+    return difference
+      ? `${summary}\n\n${difference}`
+      : `${summary}, although they print the same (check types and keys set to undefined)`;
+  }
+
+  /**
+   * Result of a matcher added with expect.extend()
+   */
+  checkCustom(name, result) {
+    if (!result || typeof result.pass !== 'boolean') {
+      throw new Error(`Custom matcher ${name}() must return { pass: boolean, message: string | () => string }`);
+    }
+    if (result.pass === this.isNegated) {
+      const message = typeof result.message === 'function' ? result.message() : result.message;
+      throw new ExpectationError(message || `Expected value ${this.isNegated ? 'not ' : ''}to pass ${name}()`);
+    }
+  }
+}
+
+/**
+ * Find the element of a locator once and read from it
+ * @returns {Promise<*>} - NOT_FOUND when the element is not in the page
+ */
+async function readElement(locator, read) {
+  const page = locator.app.scope;
+  const result = await locateOnce(page, locator);
+  if (result.selector) return read(page, result.selector);
+  if (result.count > 1) {
+    throw new Error(`${locator} matched ${result.count} elements, use .first() or .nth(index) to pick one`);
+  }
+  return NOT_FOUND;
+}
+
+/**
+ * Whether a value is a BrowserApp, by its shape: importing the class would load
+ * Puppeteer into every use of expect, even for plain values
+ */
+function isApp(value) {
+  return value !== null && typeof value === 'object' && 'page' in value &&
+    typeof value.isUrl === 'function' && typeof value.retryAssertion === 'function';
+}
+
+function matchesText(actual, expected) {
+  if (typeof actual !== 'string') return false;
+  return expected instanceof RegExp ? testPattern(expected, actual) : actual === expected;
+}
+
+function normalizeText(text) {
+  return typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : text;
+}
+
+function errorMessage(error) {
+  return error && error.message !== undefined ? String(error.message) : String(error);
+}
+
+/**
+ * Matchers run once the promise has settled (see resolves/rejects)
+ */
+function promiseMatchers(promise, mode, isNegated) {
+  return new Proxy({}, {
+    get(target, name) {
+      if (name === 'not') return promiseMatchers(promise, mode, !isNegated);
+      if (typeof name !== 'string' || name === 'constructor' || typeof Expectation.prototype[name] !== 'function') {
+        return undefined;
       }
-      
-      return true;
+
+      return async (...args) => {
+        if (!promise || typeof promise.then !== 'function') {
+          throw new ExpectationError(`.${mode} needs a promise, but got ${format(promise)}`);
+        }
+
+        let value;
+        let rejected = false;
+        try {
+          value = await promise;
+        } catch (error) {
+          value = error;
+          rejected = true;
+        }
+
+        if (mode === 'resolves' && rejected) {
+          throw new ExpectationError(`Expected promise to resolve, but it rejected with: ${errorMessage(value)}`);
+        }
+        if (mode === 'rejects' && !rejected) {
+          throw new ExpectationError(`Expected promise to reject, but it resolved with ${format(value)}`);
+        }
+
+        const expectation = new Expectation(value);
+        expectation.isNegated = isNegated;
+        expectation.fromRejects = mode === 'rejects';
+        return expectation[name](...args);
+      };
     }
-    
-    return false;
+  });
+}
+
+/**
+ * Deep equality: Dates, RegExps, Maps, Sets and errors are compared by value,
+ * asymmetric matchers (expect.any(Number)...) match on either side
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function equals(a, b, seen = []) {
+  if (isAsymmetric(b)) return b.asymmetricMatch(a);
+  if (isAsymmetric(a)) return a.asymmetricMatch(b);
+  if (Object.is(a, b)) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+
+  const type = Object.prototype.toString.call(a);
+  if (type !== Object.prototype.toString.call(b)) return false;
+
+  if (a instanceof Date) return Object.is(a.getTime(), b.getTime());
+  if (a instanceof RegExp) return a.source === b.source && a.flags === b.flags;
+  if (a instanceof Error) return a.name === b.name && a.message === b.message;
+
+  // Circular structures: a pair already being compared is assumed equal
+  if (seen.some(([x, y]) => x === a && y === b)) return true;
+  const nested = [...seen, [a, b]];
+
+  if (a instanceof Map) {
+    if (a.size !== b.size) return false;
+    return [...a].every(([key, value]) => b.has(key)
+      ? equals(value, b.get(key), nested)
+      : [...b].some(([otherKey, otherValue]) => equals(key, otherKey, nested) && equals(value, otherValue, nested)));
+  }
+
+  if (a instanceof Set) {
+    if (a.size !== b.size) return false;
+    return [...a].every(item => b.has(item) || [...b].some(other => equals(item, other, nested)));
+  }
+
+  if (Array.isArray(a) && a.length !== b.length) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && equals(a[key], b[key], nested));
+}
+
+/**
+ * toMatchObject: expected objects only need to be contained in actual
+ */
+function matchesObject(actual, expected) {
+  if (isAsymmetric(expected)) return expected.asymmetricMatch(actual);
+
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) &&
+      actual.length === expected.length &&
+      expected.every((item, index) => matchesObject(actual[index], item));
+  }
+
+  if (expected !== null && typeof expected === 'object' && Object.getPrototypeOf(expected) === Object.prototype) {
+    return actual !== null && typeof actual === 'object' &&
+      Object.keys(expected).every(key => key in actual && matchesObject(actual[key], expected[key]));
+  }
+
+  return equals(actual, expected);
+}
+
+/**
+ * Keep only the properties of actual that expected mentions, so the diff shows what matters
+ */
+function pickLike(actual, expected) {
+  if (Array.isArray(actual) && Array.isArray(expected)) {
+    return actual.map((item, index) => index < expected.length ? pickLike(item, expected[index]) : item);
+  }
+  if (actual !== null && typeof actual === 'object' && !Array.isArray(actual) &&
+    expected !== null && typeof expected === 'object' && Object.getPrototypeOf(expected) === Object.prototype) {
+    return Object.fromEntries(Object.keys(expected)
+      .filter(key => key in actual)
+      .map(key => [key, pickLike(actual[key], expected[key])]));
+  }
+  return actual;
+}
+
+function isAsymmetric(value) {
+  return value !== null && typeof value === 'object' && typeof value.asymmetricMatch === 'function';
+}
+
+/**
+ * Asymmetric matchers - stand in for a value inside toEqual(), toMatchObject(), toHaveProperty()...
+ */
+class AsymmetricMatcher {
+  constructor(sample) {
+    this.sample = sample;
+  }
+}
+
+class Any extends AsymmetricMatcher {
+  asymmetricMatch(actual) {
+    const primitives = { Number: 'number', String: 'string', Boolean: 'boolean', BigInt: 'bigint', Symbol: 'symbol', Function: 'function' };
+    const primitive = primitives[this.sample.name];
+    if (primitive && typeof actual === primitive) return true;
+    if (this.sample === Object) return actual !== null && typeof actual === 'object';
+    return actual instanceof this.sample;
+  }
+
+  toString() {
+    return `Any<${this.sample.name}>`;
+  }
+}
+
+class Anything extends AsymmetricMatcher {
+  asymmetricMatch(actual) {
+    return actual !== null && actual !== undefined;
+  }
+
+  toString() {
+    return 'Anything';
+  }
+}
+
+class StringContaining extends AsymmetricMatcher {
+  asymmetricMatch(actual) {
+    return typeof actual === 'string' && actual.includes(this.sample);
+  }
+
+  toString() {
+    return `StringContaining ${format(this.sample)}`;
+  }
+}
+
+class StringMatching extends AsymmetricMatcher {
+  asymmetricMatch(actual) {
+    const pattern = this.sample instanceof RegExp ? this.sample : new RegExp(this.sample);
+    return typeof actual === 'string' && testPattern(pattern, actual);
+  }
+
+  toString() {
+    return `StringMatching ${this.sample instanceof RegExp ? this.sample : format(this.sample)}`;
+  }
+}
+
+class ObjectContaining extends AsymmetricMatcher {
+  asymmetricMatch(actual) {
+    return actual !== null && typeof actual === 'object' &&
+      Object.keys(this.sample).every(key => key in actual && equals(actual[key], this.sample[key]));
+  }
+
+  toString() {
+    return `ObjectContaining ${format(this.sample)}`;
+  }
+}
+
+class ArrayContaining extends AsymmetricMatcher {
+  asymmetricMatch(actual) {
+    return Array.isArray(actual) && this.sample.every(item => actual.some(other => equals(other, item)));
+  }
+
+  toString() {
+    return `ArrayContaining ${format(this.sample)}`;
   }
 }
 
 /**
  * Main expect function
- * @param {any} actual - The value to test
+ * @param {any} actual - The value to test, a locator or the app
  * @returns {Expectation} - Expectation object with assertion methods
  */
 export function expect(actual) {
   return new Expectation(actual);
 }
 
+/**
+ * Like expect(), but a failure is recorded and the test continues
+ * The test still fails at the end, listing every soft failure with a screenshot.
+ * @param {any} actual - The value to test, a locator or the app
+ * @returns {Expectation}
+ */
+expect.soft = actual => softly(new Expectation(actual), { nested: ['not', 'resolves', 'rejects'] });
+
+/** Any value created by this class (expect.any(Number) also matches number primitives) */
+expect.any = sample => {
+  if (typeof sample !== 'function') {
+    throw new Error('expect.any() needs a class or constructor, e.g. expect.any(Number)');
+  }
+  return new Any(sample);
+};
+/** Anything but null and undefined */
+expect.anything = () => new Anything();
+expect.stringContaining = text => new StringContaining(text);
+expect.stringMatching = pattern => new StringMatching(pattern);
+/** Object with at least these properties */
+expect.objectContaining = object => new ObjectContaining(object);
+/** Array with at least these items, in any order */
+expect.arrayContaining = items => new ArrayContaining(items);
+
+// Names added by expect.extend()
+const customMatchers = new Set();
+
+/**
+ * Add custom matchers
+ *   expect.extend({
+ *     toBeValidPrice(received) {
+ *       return { pass: /^€\d+\.\d{2}$/.test(received), message: () => `Expected ${this.format(received)} to be a price` };
+ *     }
+ *   });
+ * Matchers are called with this = { isNot, equals, format, diff } and may be async.
+ * @param {Object<string, Function>} matchers - (received, ...expected) => { pass, message }
+ */
+expect.extend = matchers => {
+  for (const [name, matcher] of Object.entries(matchers)) {
+    if (typeof matcher !== 'function') {
+      throw new Error(`expect.extend(): ${name} must be a function`);
+    }
+    // Built-in matchers and the helpers they share can't be replaced, custom matchers can be redefined
+    if (name in new Expectation() && !customMatchers.has(name)) {
+      throw new Error(`expect.extend(): ${name} already exists on expect(), choose another name`);
+    }
+    customMatchers.add(name);
+    Expectation.prototype[name] = function (...expected) {
+      const context = { isNot: this.isNegated, equals, format, diff };
+      const result = matcher.call(context, this.actual, ...expected);
+      if (result && typeof result.then === 'function') {
+        return result.then(settled => this.checkCustom(name, settled));
+      }
+      return this.checkCustom(name, result);
+    };
+  }
+};
+
 export { ExpectationError };
@@ -0,0 +1,285 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { dirname, join, relative } from 'node:path';
+import { slugify } from './artifacts.js';
+
+/**
+ * HAR record and replay - run tests against recorded traffic instead of the network
+ *
+ * --record-har saves the traffic of each test into its own HAR file,
+ * --replay-har answers every request from that file and fails the test
+ * on requests that were not recorded.
+ */
+
+// Response bodies stored as text; everything else is stored base64 encoded
+const TEXT_TYPES = /^(text\/|application\/(json|javascript|xml|x-www-form-urlencoded)|image\/svg\+xml)|\+json|\+xml/;
+
+/**
+ * HAR file of a test
+ * @param {string} dir - HAR folder
+ * @param {string} testFile - Path of the test file
+ * @param {string} title - Full title of the test
+ * @returns {string} - e.g. hars/tests-checkout-test-js/checkout-pays-by-card.har
+ */
+export function harPath(dir, testFile, title) {
+  const fileName = testFile ? slugify(relative(process.cwd(), testFile)) : 'tests';
+  return join(dir, fileName, `${slugify(title)}.har`);
+}
+
+/**
+ * Key that identifies a request in a recording, following the matching rules
+ * @param {{method: string, url: string, postData?: string}} request
+ * @param {Object} matching - { ignoreQuery, matchBody }
+ * @returns {string}
+ */
+export function requestKey({ method, url, postData }, { ignoreQuery = false, matchBody = true } = {}) {
+  let matchUrl = url;
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    if (ignoreQuery === true) {
+      parsed.search = '';
+    } else if (Array.isArray(ignoreQuery)) {
+      ignoreQuery.forEach(name => parsed.searchParams.delete(name));
+    }
+    parsed.searchParams.sort();
+    matchUrl = parsed.href;
+  } catch (error) {
+    // Not a URL we can parse, match it exactly
+  }
+
+  const bodyHash = matchBody && postData
+    ? createHash('sha1').update(postData).digest('hex')
+    : '';
+  return `${method.toUpperCase()} ${matchUrl} ${bodyHash}`.trim();
+}
+
+// How long save() waits for the body of a finished response
+const BODY_TIMEOUT = 5000;
+
+/**
+ * Resolve when the promise does, or after ms milliseconds
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(resolve, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * HarRecorder - Collects the traffic of a page and writes it as HAR 1.2
+ */
+export class HarRecorder {
+  /**
+   * @param {string} path - HAR file to write
+   */
+  constructor(path) {
+    this.path = path;
+    this.entries = [];
+    this.pending = [];
+    this.startTimes = new Map();
+    this.openEntries = new Map();
+  }
+
+  /**
+   * @param {import('puppeteer').Page} page
+   */
+  attach(page) {
+    page.on('request', request => {
+      this.startTimes.set(request, Date.now());
+    });
+
+    page.on('response', response => {
+      const request = response.request();
+      if (!/^https?:/.test(request.url())) return;
+
+      const entry = this.createEntry(request, response);
+      this.entries.push(entry);
+      this.openEntries.set(request, entry);
+    });
+
+    // Bodies are only complete once the request finished: streams (SSE, long polling)
+    // that never finish are recorded without a body instead of holding up save()
+    page.on('requestfinished', request => {
+      const entry = this.openEntries.get(request);
+      if (!entry) return;
+      this.openEntries.delete(request);
+      this.pending.push(withTimeout(this.readBody(request.response(), entry), BODY_TIMEOUT));
+    });
+  }
+
+  createEntry(request, response) {
+    const started = this.startTimes.get(request) || Date.now();
+    const headers = response.headers();
+    const content = { size: 0, mimeType: headers['content-type'] || '' };
+    const postData = request.postData();
+    const url = new URL(request.url());
+
+    return {
+      startedDateTime: new Date(started).toISOString(),
+      time: Date.now() - started,
+      request: {
+        method: request.method(),
+        url: request.url(),
+        httpVersion: 'HTTP/1.1',
+        headers: toHeaderList(request.headers()),
+        queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+        cookies: [],
+        ...(postData !== undefined ? { postData: { mimeType: request.headers()['content-type'] || '', text: postData } } : {}),
+        headersSize: -1,
+        bodySize: postData ? Buffer.byteLength(postData) : 0
+      },
+      response: {
+        status: response.status(),
+        statusText: response.statusText(),
+        httpVersion: 'HTTP/1.1',
+        headers: toHeaderList(headers),
+        cookies: [],
+        content,
+        redirectURL: headers.location || '',
+        headersSize: -1,
+        bodySize: content.size
+      },
+      cache: {},
+      timings: { send: 0, wait: Date.now() - started, receive: 0 }
+    };
+  }
+
+  /**
+   * Add the body of a finished response to its entry
+   */
+  async readBody(response, entry) {
+    // Redirects and some cached responses have no body
+    if (!response || (response.status() >= 300 && response.status() < 400)) return;
+
+    const { content } = entry.response;
+    try {
+      const body = await response.buffer();
+      content.size = body.length;
+      if (TEXT_TYPES.test(content.mimeType)) {
+        content.text = body.toString('utf8');
+      } else {
+        content.text = body.toString('base64');
+        content.encoding = 'base64';
+      }
+      entry.response.bodySize = content.size;
+    } catch (error) {
+      // The page closed before the body could be read
+    }
+  }
+
+  /**
+   * Write the HAR file (call before the page closes)
+   */
+  async save() {
+    await Promise.all(this.pending);
+    this.entries.sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+
+    const har = {
+      log: {
+        version: '1.2',
+        creator: { name: 'latte-test', version: '2.7.0' },
+        pages: [],
+        entries: this.entries
+      }
+    };
+
+    try {
+      await mkdir(dirname(this.path), { recursive: true });
+      await writeFile(this.path, JSON.stringify(har, null, 2));
+    } catch (error) {
+      throw new Error(`Failed to save HAR file ${this.path}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * HarReplayer - Answers requests from a recorded HAR file
+ */
+export class HarReplayer {
+  /**
+   * @param {Object[]} entries - HAR entries
+   * @param {Object} matching - { ignoreQuery, matchBody }
+   * @param {string} path - HAR file, for error messages
+   */
+  constructor(entries, matching, path) {
+    this.path = path;
+    this.matching = matching;
+    this.unmatched = [];
+    // Same request recorded several times: replay the responses in order
+    this.responses = new Map();
+    this.replayed = new Map();
+
+    for (const entry of entries) {
+      const key = requestKey({
+        method: entry.request.method,
+        url: entry.request.url,
+        postData: entry.request.postData ? entry.request.postData.text : undefined
+      }, matching);
+      if (!this.responses.has(key)) this.responses.set(key, []);
+      this.responses.get(key).push(entry.response);
+    }
+  }
+
+  /**
+   * Load the HAR file of a test
+   * @param {string} path - HAR file
+   * @param {Object} matching - { ignoreQuery, matchBody }
+   * @returns {Promise<HarReplayer>}
+   */
+  static async load(path, matching) {
+    let content;
+    try {
+      content = await readFile(path, 'utf8');
+    } catch (error) {
+      throw new Error(`No HAR recording for this test at ${path}. Record one with --record-har`);
+    }
+
+    try {
+      return new HarReplayer(JSON.parse(content).log.entries, matching, path);
+    } catch (error) {
+      throw new Error(`Invalid HAR file ${path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recorded response for a request, as Puppeteer respond() options
+   * @param {{method: string, url: string, postData?: string}} request
+   * @returns {Object|null} - null when the request was not recorded
+   */
+  responseFor(request) {
+    const key = requestKey(request, this.matching);
+    const responses = this.responses.get(key);
+
+    if (!responses) {
+      this.unmatched.push(`${request.method} ${request.url}`);
+      return null;
+    }
+
+    // Once all recorded responses are used, keep answering with the last one
+    const index = this.replayed.get(key) || 0;
+    this.replayed.set(key, index + 1);
+    const response = responses[Math.min(index, responses.length - 1)];
+
+    const headers = {};
+    for (const { name, value } of response.headers) {
+      const lowerName = name.toLowerCase();
+      // The body is stored decoded, so these no longer apply
+      if (lowerName === 'content-encoding' || lowerName === 'content-length') continue;
+      headers[lowerName] = headers[lowerName] ? `${headers[lowerName]}\n${value}` : value;
+    }
+
+    const { text = '', encoding } = response.content;
+    return {
+      status: response.status,
+      headers,
+      body: encoding === 'base64' ? Buffer.from(text, 'base64') : text
+    };
+  }
+}
+
+function toHeaderList(headers) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value }));
+}
@@ -1,32 +1,517 @@
 // TypeScript declarations for latte-test
 
 export interface App {
+  /** The same app, but failed see...() and dontSee...() assertions are recorded and the test continues */
+  readonly soft: App;
   open(url: string): Promise<void>;
-  type(selector: string, text: string): Promise<void>;
-  click(selector: string): Promise<void>;
-  see(text: string): Promise<void>;
-  seeElement(selector: string): Promise<void>;
+  /** Waits until the field is visible, enabled and editable */
+  type(selector: string | Locator, text: string, options?: TypeOptions): Promise<void>;
+  /** Waits until the element is visible, stable, enabled and not covered by another element */
+  click(selector: string | Locator, options?: ClickOptions): Promise<void>;
+  /** Choose options of a <select> by value or visible label */
+  select(selector: string | Locator, option: string | string[]): Promise<string[]>;
+  check(selector: string | Locator): Promise<void>;
+  uncheck(selector: string | Locator): Promise<void>;
+  upload(selector: string | Locator, files: string | string[]): Promise<void>;
+  hover(selector: string | Locator): Promise<void>;
+  /** A key or shortcut: "Enter", "Control+Enter", "ControlOrMeta+A" */
+  press(keys: string, selector?: string | Locator): Promise<void>;
+  dragTo(source: string | Locator, target: string | Locator): Promise<void>;
+  /** Text fields are replaced, dropdowns selected, checkboxes set from booleans, file inputs uploaded */
+  fill(fields: Record<string, string | number | boolean | string[]>): Promise<void>;
+  scrollTo(target: string | Locator): Promise<void>;
+  scrollTo(x: number, y?: number): Promise<void>;
+  /** Elements matching a CSS selector, e.g. for expect(app.locator("#cart-count")).toHaveText("3") */
+  locator(selector: string): Locator;
+  getByRole(role: string, options?: { name?: string | RegExp; exact?: boolean; level?: number }): Locator;
+  getByText(text: string | RegExp, options?: { exact?: boolean }): Locator;
+  getByLabel(text: string | RegExp, options?: { exact?: boolean }): Locator;
+  getByPlaceholder(text: string | RegExp, options?: { exact?: boolean }): Locator;
+  getByTestId(testId: string): Locator;
+  getByAltText(text: string | RegExp, options?: { exact?: boolean }): Locator;
+  getByTitle(text: string | RegExp, options?: { exact?: boolean }): Locator;
+  /** Visible text only: hidden elements, scripts and markup don't count */
+  see(text: string | RegExp): Promise<void>;
+  dontSee(text: string | RegExp): Promise<void>;
+  seeTextIn(selector: string | Locator, text: string | RegExp): Promise<void>;
+  seeInField(field: string | Locator, value: string | RegExp): Promise<void>;
+  seeElement(selector: string | Locator): Promise<void>;
+  dontSeeElement(selector: string | Locator): Promise<void>;
+  seeCount(selector: string | Locator, count: number): Promise<void>;
+  seeVisible(selector: string | Locator): Promise<void>;
+  seeHidden(selector: string | Locator): Promise<void>;
+  seeInUrl(text: string | RegExp): Promise<void>;
+  seeUrl(url: string | RegExp): Promise<void>;
+  seeTitle(title: string | RegExp): Promise<void>;
   seeAttribute(selector: string, attribute: string, expectedValue: string): Promise<void>;
   wait(milliseconds: number): Promise<void>;
-  screenshot(filename?: string): Promise<void>;
+  screenshot(filename?: string, options?: { fullPage?: boolean; [option: string]: any }): Promise<boolean>;
+  /** Compare with the baseline in __screenshots__/ (saved on the first run or with --update-snapshots) */
+  matchScreenshot(name: string, options?: MatchScreenshotOptions): Promise<void>;
+  /** Keeps the emulated device's pixel ratio and touch support */
   resolution(width: number, height: number): Promise<void>;
+  /** Emulate a device from `devices` ("iPhone 15", "Pixel 7 landscape"...) and optionally its environment */
+  emulate(device: DeviceName, settings?: Omit<EmulationOptions, 'device'>): Promise<void>;
+  /** Change the environment of the page and the popups it opens */
+  emulate(settings: EmulationOptions): Promise<void>;
   getResolution(): Promise<{width: number, height: number}>;
   close(): Promise<void>;
   getContent(): Promise<string>;
   getCurrentUrl(): Promise<string>;
   getLogs(): string[];
+  /** Console output of the page, optionally only one type ('error', 'warn'...) */
+  getConsoleMessages(type?: string): Array<{ time: string; type: string; text: string; url: string }>;
+  /** Uncaught exceptions and unhandled promise rejections of the page */
+  getPageErrors(): Array<{ time: string; message: string; stack: string | null; url: string }>;
+  mock(urlPattern: UrlPattern, response: MockResponse | string | ((request: RequestInfo) => MockResponse | string | null | Promise<MockResponse | string | null>)): Promise<void>;
+  blockRequests(patterns: UrlPattern | UrlPattern[]): Promise<void>;
+  waitForRequest(urlPattern: UrlPattern, options?: { method?: string; body?: any; timeout?: number }): Promise<RequestInfo>;
+  waitForResponse(urlPattern: UrlPattern, options?: { method?: string; status?: number; timeout?: number }): Promise<ResponseInfo>;
+  seeRequest(urlPattern: UrlPattern, options?: { method?: string; body?: any }): Promise<void>;
+  /** Index in opening order (0 is the first tab, -1 the last), or text / RegExp in the tab's URL or title */
+  switchToTab(matcher: number | string | RegExp): Promise<void>;
+  /** Continue in the popup or tab the page opened; popups opened before the call count too */
+  waitForPopup(options?: { timeout?: number }): Promise<void>;
+  /** Actions and assertions inside fn run in the iframe */
+  within<T>(frameSelector: string | Locator, fn: (app: App) => Promise<T>): Promise<T>;
+  /** How alert(), confirm() and prompt() are answered from now on (default: dismissed) */
+  onDialog(action: 'accept' | 'dismiss' | ((dialog: Dialog) => void | Promise<void>), promptText?: string): void;
+  seeDialog(text: string | RegExp): Promise<void>;
+  /** Save cookies, localStorage, sessionStorage and IndexedDB, for the state option */
+  saveState(file: string): Promise<StorageState>;
 }
 
+export interface Dialog {
+  type: 'alert' | 'confirm' | 'prompt' | 'beforeunload';
+  message: string;
+  defaultValue: string;
+  /** promptText is entered in prompt() dialogs */
+  accept(promptText?: string): Promise<void>;
+  dismiss(): Promise<void>;
+}
+
+/** Finds an element the way users see it; pass it to app.click(), app.type()... */
+export interface Locator {
+  /** Pick one element when several match (0-based, negative counts from the end) */
+  nth(index: number): Locator;
+  first(): Locator;
+  last(): Locator;
+  click(options?: ClickOptions): Promise<void>;
+  type(text: string, options?: TypeOptions): Promise<void>;
+  toString(): string;
+}
+
+export interface MatchScreenshotOptions {
+  /** Only screenshot this element */
+  selector?: string | Locator;
+  /** Painted over before the screenshot: dates, ads, avatars... */
+  mask?: Array<string | Locator>;
+  /** Colour difference allowed per pixel, 0 (exact) to 1 (default 0.1) */
+  threshold?: number;
+  /** Number of different pixels allowed (default 0) */
+  maxDiffPixels?: number;
+  /** Share of different pixels allowed, 0 to 1 */
+  maxDiffPixelRatio?: number;
+  /** Ignore anti-aliasing differences (default true) */
+  antialiasing?: boolean;
+  fullPage?: boolean;
+}
+
+export interface ClickOptions {
+  /** Skip the actionability checks */
+  force?: boolean;
+}
+
+export interface TypeOptions {
+  /** Replace the current value instead of typing after it */
+  clear?: boolean;
+  /** Milliseconds between key presses */
+  delay?: number;
+}
+
+/** Substring of the URL, glob ("**\/api/*"), RegExp or predicate */
+export type UrlPattern = string | RegExp | ((url: string) => boolean);
+
+export interface MockResponse {
+  status?: number;
+  headers?: Record<string, string>;
+  contentType?: string;
+  /** Objects and arrays are sent as JSON */
+  body?: string | Buffer | object;
+  json?: any;
+  /** Path of a fixture file, relative to the fixturesDir option (JSON fixtures are sent as JSON) */
+  fixture?: string;
+  /** Milliseconds to wait before answering */
+  delay?: number;
+}
+
+export interface RequestInfo {
+  url: string;
+  method: string;
+  headers: Record<string, string>;
+  /** Parsed JSON or form body, raw text otherwise */
+  body?: any;
+  resourceType: string;
+  status: number | null;
+}
+
+export interface ResponseInfo {
+  url: string;
+  status: number;
+  headers: Record<string, string>;
+  /** Parsed when JSON */
+  body?: any;
+  request: RequestInfo;
+}
+
+/**
+ * Declare matchers added with expect.extend() by merging into this interface:
+ *   declare module "latte-test" { interface ExpectMatchers<T> { toBeValidPrice(): void } }
+ */
 export interface ExpectMatchers<T> {
   toBe(expected: T): void;
+  /** Deep equality; Dates, Maps, Sets and RegExps compare by value */
+  toEqual(expected: any): void;
   toContain(expected: any): void;
   toBeTruthy(): void;
   toBeFalsy(): void;
-  toThrow(expected?: string | RegExp): void;
+  toBeNull(): void;
+  toBeUndefined(): void;
+  toBeGreaterThan(expected: number | bigint): void;
+  toBeGreaterThanOrEqual(expected: number | bigint): void;
+  toBeLessThan(expected: number | bigint): void;
+  toBeLessThanOrEqual(expected: number | bigint): void;
+  /** Equal once rounded to this many decimal places (default 2) */
+  toBeCloseTo(expected: number, digits?: number): void;
+  toMatch(expected: string | RegExp): void;
+  /** Object has at least these properties, recursively */
+  toMatchObject(expected: object): void;
+  toHaveLength(expected: number): void;
+  /** "total", "items[0].price" or ['user', 'address'] */
+  toHaveProperty(path: string | Array<string | number>, value?: any): void;
+  toBeInstanceOf(expected: Function): void;
+  /** Returns a promise for async functions and .rejects: await it */
+  toThrow(expected?: string | RegExp | Function | Error): void | Promise<void>;
   not: ExpectMatchers<T>;
+  /** Matchers applied to the resolved value */
+  resolves: PromiseMatchers<T>;
+  /** Matchers applied to the rejection error */
+  rejects: PromiseMatchers<any>;
+}
+
+export type PromiseMatchers<T> = {
+  [K in Exclude<keyof ExpectMatchers<T>, 'not' | 'resolves' | 'rejects'>]: ExpectMatchers<T>[K] extends (...args: infer A) => any
+    ? (...args: A) => Promise<void>
+    : never;
+} & { not: PromiseMatchers<T> };
+
+/** Stands in for a value in toEqual(), toMatchObject(), toHaveProperty()... */
+export interface AsymmetricMatcher {
+  asymmetricMatch(actual: any): boolean;
+}
+
+export interface MatcherContext {
+  /** True when called through .not */
+  isNot: boolean;
+  equals(a: any, b: any): boolean;
+  format(value: any): string;
+  diff(expected: any, received: any): string | null;
+}
+
+export type CustomMatcher = (this: MatcherContext, received: any, ...expected: any[]) =>
+  { pass: boolean; message?: string | (() => string) } | Promise<{ pass: boolean; message?: string | (() => string) }>;
+
+export interface RetryOptions {
+  /** Milliseconds to keep retrying (default: the app's timeout) */
+  timeout?: number;
+}
+
+/** Matchers for expect(locator): they retry until the timeout, so await them */
+export interface LocatorMatchers {
+  /** Whole text, whitespace collapsed */
+  toHaveText(expected: string | RegExp, options?: RetryOptions): Promise<void>;
+  toBeVisible(options?: RetryOptions): Promise<void>;
+  toHaveValue(expected: string | RegExp, options?: RetryOptions): Promise<void>;
+  toHaveAttribute(name: string, expected?: string | RegExp, options?: RetryOptions): Promise<void>;
+  toHaveCount(expected: number, options?: RetryOptions): Promise<void>;
+  not: LocatorMatchers;
+}
+
+/** Matchers for expect(app) */
+export interface AppMatchers {
+  toHaveURL(expected: string | RegExp, options?: RetryOptions): Promise<void>;
+  not: AppMatchers;
+}
+
+export interface TestResult {
+  description: string;
+  /** Group path and description, e.g. "Checkout › Payment › declined card" */
+  fullTitle: string;
+  /** Full group path, e.g. "Checkout › Payment" */
+  group: string | null;
+  passed: boolean;
+  status: 'passed' | 'failed' | 'skipped' | 'todo';
+  duration: number;
+  error?: string;
+  logs: string[];
+  artifacts?: FailureArtifacts;
+  /** Number of times the test ran (1 + retries used) */
+  attempts?: number;
+  /** Passed only after a retry */
+  flaky?: boolean;
+  /** Errors of the failed attempts of a flaky test */
+  retryErrors?: string[];
+  /** Failures recorded by expect.soft() and app.soft, each with a screenshot of the page at that moment */
+  softFailures?: Array<{ message: string; screenshot: string | null }>;
+}
+
+export interface FailureArtifacts {
+  dir: string;
+  url: string;
+  screenshot?: string;
+  html?: string;
+  console: string;
+  logs: string;
+}
+
+export interface FileResult {
+  file: string;
+  /** Config project the file ran for, when the config has projects */
+  project?: string;
+  tests: TestResult[];
+  duration: number;
+  exitCode: number;
+}
+
+export interface RunResult {
+  passed: number;
+  failed: number;
+  skipped: number;
+  todo: number;
+  flaky: number;
+  total: number;
+  duration: number;
+  startTime: number;
+  files: FileResult[];
 }
 
-export declare function latte(description: string, testFunction: (app: App) => Promise<void>): void;
-export declare function group(description: string, groupFunction: () => void): void;
-export declare function runTests(): Promise<{passed: number, failed: number, results: Array<any>}>;
+export declare class Reporter {
+  constructor(options?: { output?: string; [key: string]: any });
+  options: { output?: string; [key: string]: any };
+  onRunStart(info: { files: string[]; projects: string[] }): void | Promise<void>;
+  onFileEnd(fileResult: FileResult): void | Promise<void>;
+  onRunEnd(runResult: RunResult): void | Promise<void>;
+}
+
+export type DeviceName = keyof typeof devices | `${keyof typeof devices} landscape` | (string & {});
+
+export interface Viewport {
+  width: number;
+  height: number;
+  deviceScaleFactor?: number;
+  isMobile?: boolean;
+  hasTouch?: boolean;
+  isLandscape?: boolean;
+}
+
+export interface EmulationOptions {
+  /** Screen, pixel ratio, touch and user agent of a phone, tablet or desktop from `devices` */
+  device?: DeviceName;
+  /** Screen size, replaces the device's */
+  viewport?: Viewport;
+  touch?: boolean;
+  deviceScaleFactor?: number;
+  userAgent?: string;
+  /** Language of Intl formatting, navigator.language and the Accept-Language header, e.g. 'de-DE' */
+  locale?: string;
+  /** IANA time zone, e.g. 'Europe/Berlin' */
+  timezone?: string;
+  /** Position reported to the page; the permission is granted */
+  geolocation?: { latitude: number; longitude: number; accuracy?: number };
+  colorScheme?: 'light' | 'dark' | 'no-preference';
+  reducedMotion?: boolean | 'reduce' | 'no-preference';
+  /** Throttle the connection, or { download, upload } in bytes per second and latency in milliseconds */
+  network?: 'offline' | 'online' | 'slow 3g' | 'fast 3g' | 'slow 4g' | 'fast 4g' | { download?: number; upload?: number; latency?: number } | null;
+}
+
+export interface BrowserOptions extends EmulationOptions {
+  headless?: boolean;
+  timeout?: number;
+  /** Relative URLs passed to app.open() are resolved against it */
+  baseURL?: string;
+  /** Launch a separate browser for this test instead of a context in the shared one */
+  dedicatedBrowser?: boolean;
+  /** Extra Chromium flags; implies dedicatedBrowser */
+  launchArgs?: string[];
+  /** Folder that app.mock() fixture paths are relative to (default: current directory) */
+  fixturesDir?: string;
+  /** Start from cookies and storage saved by app.saveState() or the auth config option (null to start logged out) */
+  state?: string | StorageState | null;
+  /** Fail the test when the page does one of these, even if every assertion passed */
+  failOn?: FailOn[];
+  /** Page errors, console messages and URLs that failOn ignores (text they contain, or a RegExp) */
+  allowErrors?: Array<string | RegExp>;
+}
+
+export type FailOn = 'pageerror' | 'requestfailed' | '4xx' | '5xx' | 'console.error' | 'console.warn' | 'console.assert' | 'console.info' | 'console.log' | 'console.debug';
+
+export interface StorageState {
+  cookies: Array<{ name: string; value: string; domain: string; path?: string; expires?: number; httpOnly?: boolean; secure?: boolean; sameSite?: 'Strict' | 'Lax' | 'None' }>;
+  origins: Array<{
+    origin: string;
+    localStorage: Record<string, string>;
+    sessionStorage: Record<string, string>;
+    indexedDB: Array<{ name: string; version: number; stores: any[] }>;
+  }>;
+}
+
+export interface HarOptions {
+  /** true ignores the whole query string, a list ignores only these parameters */
+  ignoreQuery?: boolean | string[];
+  /** Requests with a body only match a recording with the same body (default: true) */
+  matchBody?: boolean;
+}
+
+export interface TestOptions extends BrowserOptions {
+  startBy?: (app: App) => Promise<void>;
+  finishBy?: (app: App) => Promise<void>;
+  /** Save screenshot, HTML, URL, console and action log here when the test fails */
+  artifactsDir?: string;
+  /** Re-run the test in a fresh browser this many times when it fails */
+  retries?: number;
+  /** HAR matching rules for this test, or false to never record/replay it */
+  har?: HarOptions | false;
+  [option: string]: any;
+}
+
+export interface LatteFunction {
+  (description: string, testFunction: (app: App) => Promise<void>, options?: TestOptions): void;
+  only: LatteModifier;
+  skip: LatteModifier;
+  todo(description: string): void;
+  /**
+   * One test per row; %s %d %i %f %j %o in the title take the row's values, %# is the row index, $name a property of an object row
+   * Array rows are passed after app, any other row as one argument.
+   */
+  each: EachFunction;
+}
+
+export interface LatteModifier {
+  (description: string, testFunction: (app: App) => Promise<void>, options?: TestOptions): void;
+  each: EachFunction;
+}
+
+export interface EachFunction {
+  <Row extends readonly any[]>(table: readonly Row[]): (description: string, testFunction: (app: App, ...row: Row) => Promise<void>, options?: TestOptions) => void;
+  <Row>(table: readonly Row[]): (description: string, testFunction: (app: App, row: Row) => Promise<void>, options?: TestOptions) => void;
+}
+
+export interface GroupOptions {
+  /** Retries for every test in the group, unless a test sets its own */
+  retries?: number;
+}
+
+export interface GroupFunction {
+  (description: string, groupFunction: () => void, options?: GroupOptions): void;
+  only(description: string, groupFunction: () => void, options?: GroupOptions): void;
+  skip(description: string, groupFunction: () => void, options?: GroupOptions): void;
+}
+
+export type ReporterEntry = string | [string, { output?: string; [option: string]: any }];
+
+export interface LatteConfig {
+  /** Relative URLs passed to app.open() are resolved against it */
+  baseURL?: string;
+  /** Default BrowserApp options for every test */
+  browser?: BrowserOptions;
+  /** Globs of test files, relative to the config file */
+  testMatch?: string[];
+  /** Globs of files and folders to skip, relative to the config file (default: node_modules and dot-folders) */
+  testIgnore?: string[];
+  /** Module whose default export runs once before all test files (may return a teardown function) */
+  globalSetup?: string;
+  /** Module whose default export runs once after all test files */
+  globalTeardown?: string;
+  /** State file (relative to the config file) to the login that creates it; runs once after globalSetup */
+  auth?: Record<string, (app: App) => Promise<void>>;
+  reporters?: ReporterEntry[];
+  retries?: number;
+  workers?: number;
+  artifactsDir?: string;
+  /** Where --record-har saves and --replay-har reads each test's traffic, and how requests are matched */
+  har?: HarOptions & { dir?: string };
+  /** Named overrides, selected with --profile=<name> */
+  profiles?: Record<string, Omit<LatteConfig, 'profiles'>>;
+  /** Run the whole suite once per project (or only those given with --project=<name>) */
+  projects?: ProjectConfig[];
+}
+
+export interface ProjectConfig {
+  /** Shown in the output and the reports, used by --project */
+  name: string;
+  /** BrowserApp options merged over the config's browser options */
+  browser?: BrowserOptions;
+  baseURL?: string;
+  retries?: number;
+}
+
+export declare function defineConfig(config: LatteConfig): LatteConfig;
+
+/** Device presets for app.emulate() and the device option */
+export declare const devices: {
+  readonly 'iPhone SE': Device;
+  readonly 'iPhone 12': Device;
+  readonly 'iPhone 13': Device;
+  readonly 'iPhone 14': Device;
+  readonly 'iPhone 14 Pro Max': Device;
+  readonly 'iPhone 15': Device;
+  readonly 'iPhone 15 Pro': Device;
+  readonly 'iPhone 15 Pro Max': Device;
+  readonly 'Pixel 5': Device;
+  readonly 'Pixel 7': Device;
+  readonly 'Pixel 8': Device;
+  readonly 'Galaxy S9+': Device;
+  readonly 'Galaxy S23': Device;
+  readonly 'Galaxy Tab S8': Device;
+  readonly 'iPad Mini': Device;
+  readonly 'iPad Air': Device;
+  readonly 'iPad Pro 11': Device;
+  readonly 'iPad Pro 12.9': Device;
+  readonly 'Desktop': Device;
+  readonly 'Desktop HiDPI': Device;
+  readonly 'Desktop Full HD': Device;
+};
+
+export interface Device {
+  userAgent: string;
+  viewport: Required<Omit<Viewport, 'isLandscape'>>;
+}
+
+export declare const latte: LatteFunction;
+export declare const group: GroupFunction;
+export declare function beforeEach(hook: (app: App) => void | Promise<void>): void;
+export declare function afterEach(hook: (app: App) => void | Promise<void>): void;
+export declare function beforeAll(hook: () => void | Promise<void>): void;
+export declare function afterAll(hook: () => void | Promise<void>): void;
+export declare function runTests(): Promise<{passed: number, failed: number, skipped: number, todo: number, results: TestResult[]}>;
+export declare function expect(actual: Locator): LocatorMatchers;
+export declare function expect(actual: App): AppMatchers;
 export declare function expect<T>(actual: T): ExpectMatchers<T>;
+export declare namespace expect {
+  /** Like expect(), but a failure is recorded and the test continues (it still fails at the end) */
+  function soft<T>(actual: T): ExpectMatchers<T>;
+  function soft(actual: Locator): LocatorMatchers;
+  function soft(actual: App): AppMatchers;
+  /** Any value created by this class; expect.any(Number) also matches number primitives */
+  function any(type: Function): AsymmetricMatcher;
+  /** Anything but null and undefined */
+  function anything(): AsymmetricMatcher;
+  function stringContaining(text: string): AsymmetricMatcher;
+  function stringMatching(pattern: string | RegExp): AsymmetricMatcher;
+  /** Object with at least these properties */
+  function objectContaining(object: object): AsymmetricMatcher;
+  /** Array with at least these items, in any order */
+  function arrayContaining(items: any[]): AsymmetricMatcher;
+  /** Add team-specific matchers */
+  function extend(matchers: Record<string, CustomMatcher>): void;
+}
@@ -1,22 +1,45 @@
+import { format } from 'node:util';
 import { BrowserApp } from './browser-app.js';
 import { TestRunner } from './runner.js';
+import { EventChannel } from './protocol.js';
+import { readRuntimeOptions } from './runtime.js';
+import { loadConfig } from './config.js';
 
 // Global test registry
 const tests = [];
-const groups = [];
-let currentGroup = null;
+let rootSuite = createSuite(null, null);
+let currentSuite = rootSuite;
 
 /**
- * Main latte function - defines a test
- * @param {string} description - Test description
- * @param {Function} testFn - Test function that receives an app instance
- * @param {Object} options - Browser options (headless, timeout, etc.)
+ * Create a group node holding its scoped hooks
+ * @param {string|null} name - Group name (null for the file level)
+ * @param {Object|null} parent - Enclosing group
+ * @param {string|null} mode - 'only', 'skip' or null
+ * @param {Object} options - Group options (retries)
  */
-export function latte(description, testFn, options = {}) {
+function createSuite(name, parent, mode = null, options = {}) {
+  return {
+    name,
+    parent,
+    mode,
+    options,
+    path: parent && name ? [...parent.path, name] : [],
+    hooks: { beforeAll: [], afterAll: [], beforeEach: [], afterEach: [] }
+  };
+}
+
+/**
+ * Add a test to the registry
+ * @param {string|null} mode - 'only', 'skip', 'todo' or null
+ */
+function registerTest(description, testFn, options, mode) {
   const test = {
     description,
     testFn,
-    group: currentGroup,
+    group: currentSuite.path.length > 0 ? currentSuite.path.join(' › ') : null,
+    groupPath: currentSuite.path,
+    suite: currentSuite,
+    mode,
     options
   };
   
@@ -24,18 +47,161 @@ export function latte(description, testFn, options = {}) {
 }
 
 /**
- * Optional grouping function
- * @param {string} name - Group name
- * @param {Function} groupFn - Function containing latte tests
+ * Main latte function - defines a test
+ * @param {string} description - Test description
+ * @param {Function} testFn - Test function that receives an app instance
+ * @param {Object} options - Browser options (headless, timeout, etc.)
  */
-export function group(name, groupFn) {
-  const previousGroup = currentGroup;
-  currentGroup = name;
-  
-  groups.push({ name, tests: [] });
-  groupFn();
+export function latte(description, testFn, options = {}) {
+  registerTest(description, testFn, options, null);
+}
+
+/**
+ * Define a test and run only the tests marked with .only in this file
+ */
+latte.only = function(description, testFn, options = {}) {
+  registerTest(description, testFn, options, 'only');
+};
+
+/**
+ * Define a test that is reported as skipped instead of running
+ */
+latte.skip = function(description, testFn, options = {}) {
+  registerTest(description, testFn, options, 'skip');
+};
+
+/**
+ * Note a test that still has to be written
+ * @param {string} description - Test description
+ */
+latte.todo = function(description) {
+  registerTest(description, null, {}, 'todo');
+};
+
+/**
+ * Define one test per row of a table
+ *
+ *   latte.each([['desktop', 1920], ['mobile', 375]])('menu on %s (%ipx)', async (app, name, width) => { ... });
+ *
+ * Array rows are passed to the test after app, any other row as one argument.
+ * In the title, %s %d %i %f %j %o take the next value, %# is the row index,
+ * and $name a property of an object row.
+ * @param {Array} table - Rows of test data
+ * @returns {Function} - (description, testFn, options) defining the tests
+ */
+latte.each = function(table) {
+  return eachRow(table, null);
+};
+
+latte.only.each = function(table) {
+  return eachRow(table, 'only');
+};
+
+latte.skip.each = function(table) {
+  return eachRow(table, 'skip');
+};
+
+function eachRow(table, mode) {
+  if (!Array.isArray(table) || table.length === 0) {
+    throw new Error(`latte.each() needs a non-empty array of rows, got ${Array.isArray(table) ? 'an empty array' : typeof table}`);
+  }
+
+  return (description, testFn, options = {}) => {
+    table.forEach((row, index) => {
+      const values = Array.isArray(row) ? row : [row];
+      registerTest(formatTitle(description, values, index, row), app => testFn(app, ...values), options, mode);
+    });
+  };
+}
+
+/**
+ * Fill the placeholders of a latte.each() title with the values of a row
+ */
+function formatTitle(template, values, index, row) {
+  let next = 0;
+
+  return template.replace(/%([sdifjo#%])|\$(\w+(?:\.\w+)*)/g, (match, type, path) => {
+    if (path) {
+      if (row === null || typeof row !== 'object' || Array.isArray(row)) return match;
+      const value = path.split('.').reduce((object, key) => (object == null ? undefined : object[key]), row);
+      return value === undefined ? match : format('%s', value);
+    }
+    if (type === '%') return '%';
+    if (type === '#') return String(index);
+    // More placeholders than values: leave the rest as written
+    if (next >= values.length) return match;
+    return format(`%${type}`, values[next++]);
+  });
+}
+
+/**
+ * Register a group and its contents
+ */
+function registerGroup(name, groupFn, mode, options) {
+  const previousSuite = currentSuite;
+  currentSuite = createSuite(name, previousSuite, mode, options);
   
-  currentGroup = previousGroup;
+  try {
+    groupFn();
+  } finally {
+    currentSuite = previousSuite;
+  }
+}
+
+/**
+ * Optional grouping function, groups can be nested
+ * @param {string} name - Group name
+ * @param {Function} groupFn - Function containing latte tests, nested groups and hooks
+ * @param {Object} options - Group options (retries for every test in the group)
+ */
+export function group(name, groupFn, options = {}) {
+  registerGroup(name, groupFn, null, options);
+}
+
+/**
+ * Define a group and run only the groups and tests marked with .only in this file
+ */
+group.only = function(name, groupFn, options = {}) {
+  registerGroup(name, groupFn, 'only', options);
+};
+
+/**
+ * Define a group whose tests are all reported as skipped
+ */
+group.skip = function(name, groupFn, options = {}) {
+  registerGroup(name, groupFn, 'skip', options);
+};
+
+/**
+ * Run a function before each test of the current group (or file)
+ * @param {Function} hookFn - Receives the test's app instance
+ */
+export function beforeEach(hookFn) {
+  currentSuite.hooks.beforeEach.push(hookFn);
+}
+
+/**
+ * Run a function after each test of the current group (or file), even if the test failed
+ * @param {Function} hookFn - Receives the test's app instance
+ */
+export function afterEach(hookFn) {
+  currentSuite.hooks.afterEach.push(hookFn);
+}
+
+/**
+ * Run a function once before the first test of the current group (or file)
+ * @param {Function} hookFn - Hook function (no app: each test gets its own browser)
+ */
+export function beforeAll(hookFn) {
+  currentSuite.hooks.beforeAll.push(hookFn);
+}
+
+/**
+ * Run a function once after the last test of the current group (or file)
+ * @param {Function} hookFn - Hook function (no app: each test gets its own browser)
+ */
+export function afterAll(hookFn) {
+  currentSuite.hooks.afterAll.push(hookFn);
 }
 
 /**
@@ -43,7 +209,22 @@ export function group(name, groupFn) {
  * @returns {Promise<{passed: number, failed: number, results: Array}>}
  */
 export async function runTests() {
-  const runner = new TestRunner();
+  const runtime = readRuntimeOptions();
+  const config = await loadConfig({ configPath: runtime.config, profile: runtime.profile, project: runtime.project });
+
+  // Command line flags win over latte.config values
+  const runner = new TestRunner({
+    channel: EventChannel.fromEnv(),
+    grep: runtime.grep,
+    artifactsDir: runtime.artifactsDir ?? config.artifactsDir,
+    retries: runtime.retries ?? config.retries,
+    headed: runtime.headed,
+    har: runtime.harMode ? { ...config.har, mode: runtime.harMode, dir: runtime.harDir ?? config.har.dir } : null,
+    testFile: runtime.testFile,
+    updateSnapshots: runtime.updateSnapshots,
+    project: runtime.project,
+    browserDefaults: { ...config.browser, baseURL: config.baseURL }
+  });
   return await runner.runAll(tests);
 }
 
@@ -59,8 +240,8 @@ export function getTests() {
  */
 export function clearTests() {
   tests.length = 0;
-  groups.length = 0;
-  currentGroup = null;
+  rootSuite = createSuite(null, null);
+  currentSuite = rootSuite;
 }
 
 // Export the browser app class for advanced usage
@@ -69,6 +250,15 @@ export { BrowserApp };
 // Re-export expect for convenience
 export { expect } from './expect.js';
 
+// Reporter base class for custom reporters (--reporter=./my-reporter.js)
+export { Reporter } from './reporters.js';
+
+// Typed helper for latte.config.js/ts
+export { defineConfig } from './config.js';
+
+// Device presets for app.emulate() and the device option
+export { devices } from './devices.js';
+
 // Auto-run tests when module finishes loading (for CLI execution)
 if (typeof process !== 'undefined' && process.argv.length > 1) {
   // Use process.nextTick to ensure all imports complete first
@@ -0,0 +1,405 @@
+/**
+ * Locators - find elements the way users see them
+ *
+ * Every lookup runs as a single query inside the page. The element found is
+ * marked with a data-latte-id attribute, so Puppeteer can act on it through
+ * a plain CSS selector.
+ */
+
+export const LATTE_ID_ATTRIBUTE = 'data-latte-id';
+
+// How each strategy is written in tests, for error messages
+const METHOD_NAMES = {
+  css: 'locator',
+  role: 'getByRole',
+  text: 'getByText',
+  label: 'getByLabel',
+  placeholder: 'getByPlaceholder',
+  testId: 'getByTestId',
+  altText: 'getByAltText',
+  title: 'getByTitle'
+};
+
+/**
+ * Locator - A description of how to find an element
+ * Created by app.getByRole(), app.getByText()... and accepted by app.click(), app.type()...
+ */
+export class Locator {
+  /**
+   * @param {import('./browser-app.js').BrowserApp} app - App the locator belongs to
+   * @param {Object} query - { strategy, value, options }
+   */
+  constructor(app, query) {
+    this.app = app;
+    this.query = query;
+  }
+
+  /**
+   * Pick one element when the locator matches several
+   * @param {number} index - 0-based position in document order (negative counts from the end)
+   * @returns {Locator}
+   */
+  nth(index) {
+    return new Locator(this.app, { ...this.query, index });
+  }
+
+  first() {
+    return this.nth(0);
+  }
+
+  last() {
+    return this.nth(-1);
+  }
+
+  async click(options) {
+    await this.app.click(this, options);
+  }
+
+  async type(text, options) {
+    await this.app.type(this, text, options);
+  }
+
+  toString() {
+    return describeQuery(this.query);
+  }
+}
+
+/**
+ * Turn a string or Locator into a query for the page
+ * @param {string|Locator} target - Locator, or a string (CSS selector, test id, label, text...)
+ * @returns {Object}
+ */
+export function toQuery(target) {
+  if (target instanceof Locator) return target.query;
+  return { strategy: 'auto', value: String(target), options: {} };
+}
+
+/**
+ * Human description of a query, e.g. getByRole('button', { name: 'Sign In' })
+ */
+export function describeQuery(query) {
+  const value = query.strategy === 'auto' ? `"${query.value}"` : formatArg(query.value);
+  const options = Object.entries(query.options || {}).filter(([, option]) => option !== undefined);
+  const optionsText = options.length > 0
+    ? `, { ${options.map(([key, option]) => `${key}: ${formatArg(option)}`).join(', ')} }`
+    : '';
+  const base = query.strategy === 'auto' ? value : `${METHOD_NAMES[query.strategy]}(${value}${optionsText})`;
+  if (query.index === undefined) return base;
+  return query.index === 0 ? `${base}.first()` : query.index === -1 ? `${base}.last()` : `${base}.nth(${query.index})`;
+}
+
+function formatArg(value) {
+  if (value instanceof RegExp) return String(value);
+  if (typeof value === 'string') return `'${value}'`;
+  return String(value);
+}
+
+/**
+ * RegExps can't be sent to the page, so send their source and flags
+ */
+export function serializeQuery(query) {
+  const serialize = value => value instanceof RegExp ? { regexp: value.source, flags: value.flags } : value;
+  return {
+    ...query,
+    value: serialize(query.value),
+    options: Object.fromEntries(Object.entries(query.options || {}).map(([key, value]) => [key, serialize(value)]))
+  };
+}
+
+/**
+ * Test a RegExp the same way every time: with /g or /y, test() continues from
+ * the lastIndex of the previous call, so retries would alternate results
+ * @param {RegExp} pattern
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function testPattern(pattern, text) {
+  if (!pattern.global && !pattern.sticky) return pattern.test(text);
+  return new RegExp(pattern.source, pattern.flags.replace('g', '')).test(text);
+}
+
+/**
+ * Find the elements matching a query - runs inside the page, so it must be self-contained
+ * @param {Object} query - Serialized query; with count: 'all' or 'visible' it only counts matches
+ * @param {string} idAttribute - Attribute used to mark the element found
+ * @returns {{selector: string|null, count: number, strategy: string|null, candidates: string[]}}
+ */
+export function queryElements(query, idAttribute) {
+  const normalize = text => (text || '').replace(/\s+/g, ' ').trim();
+
+  const matchText = (actual, expected, exact) => {
+    const text = normalize(actual);
+    if (expected && expected.regexp !== undefined) {
+      return new RegExp(expected.regexp, expected.flags).test(text);
+    }
+    if (exact) return text === normalize(expected);
+    return text.toLowerCase().includes(normalize(expected).toLowerCase());
+  };
+
+  const isVisible = element => {
+    const style = window.getComputedStyle(element);
+    if (style.visibility === 'hidden' || style.display === 'none') return false;
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  };
+
+  const all = selector => {
+    try {
+      return [...document.querySelectorAll(selector)];
+    } catch (error) {
+      return [];
+    }
+  };
+
+  const byAttribute = (names, value) => all(names.map(name => `[${name}="${CSS.escape(value)}"]`).join(','));
+
+  const implicitRole = element => {
+    const tag = element.tagName.toLowerCase();
+    const type = (element.getAttribute('type') || 'text').toLowerCase();
+    switch (tag) {
+      case 'button': return 'button';
+      case 'a': case 'area': return element.hasAttribute('href') ? 'link' : null;
+      case 'input':
+        if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+        if (type === 'checkbox') return 'checkbox';
+        if (type === 'radio') return 'radio';
+        if (type === 'range') return 'slider';
+        if (type === 'number') return 'spinbutton';
+        if (type === 'search') return 'searchbox';
+        if (type === 'hidden') return null;
+        return 'textbox';
+      case 'textarea': return 'textbox';
+      case 'select': return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+      case 'option': return 'option';
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': return 'heading';
+      case 'img': return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+      case 'ul': case 'ol': return 'list';
+      case 'li': return 'listitem';
+      case 'nav': return 'navigation';
+      case 'main': return 'main';
+      case 'header': return 'banner';
+      case 'footer': return 'contentinfo';
+      case 'aside': return 'complementary';
+      case 'form': return 'form';
+      case 'dialog': return 'dialog';
+      case 'table': return 'table';
+      case 'tr': return 'row';
+      case 'td': return 'cell';
+      case 'th': return 'columnheader';
+      case 'progress': return 'progressbar';
+      default: return null;
+    }
+  };
+
+  const roleOf = element => {
+    const explicit = element.getAttribute('role');
+    return explicit ? explicit.split(' ')[0] : implicitRole(element);
+  };
+
+  const labelsOf = element => {
+    const labels = element.labels ? [...element.labels] : [];
+    return labels.map(label => label.innerText || label.textContent).join(' ');
+  };
+
+  const accessibleName = element => {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/).map(id => document.getElementById(id)).filter(Boolean).map(label => label.textContent).join(' ');
+      if (normalize(text)) return normalize(text);
+    }
+    const ariaLabel = element.getAttribute('aria-label');
+    if (normalize(ariaLabel)) return normalize(ariaLabel);
+
+    const tag = element.tagName.toLowerCase();
+    if (['input', 'textarea', 'select'].includes(tag)) {
+      const type = (element.getAttribute('type') || '').toLowerCase();
+      if (['button', 'submit', 'reset'].includes(type)) {
+        return normalize(element.value || (type === 'submit' ? 'Submit' : type === 'reset' ? 'Reset' : ''));
+      }
+      if (type === 'image') return normalize(element.getAttribute('alt'));
+      return normalize(labelsOf(element)) || normalize(element.getAttribute('title')) || normalize(element.getAttribute('placeholder'));
+    }
+    if (tag === 'img') return normalize(element.getAttribute('alt')) || normalize(element.getAttribute('title'));
+
+    return normalize(element.innerText || element.textContent) || normalize(element.getAttribute('title'));
+  };
+
+  const byRole = (role, { name, exact, level } = {}) => all('*').filter(element => {
+    if (roleOf(element) !== role) return false;
+    if (level !== undefined && role === 'heading') {
+      const actualLevel = Number(element.getAttribute('aria-level')) || Number(element.tagName.slice(1));
+      if (actualLevel !== level) return false;
+    }
+    return name === undefined || matchTextOrNull(accessibleName(element), name, exact);
+  });
+
+  const matchTextOrNull = (actual, expected, exact) => actual !== '' && matchText(actual, expected, exact);
+
+  const byLabel = (text, exact) => {
+    const controls = new Set();
+    for (const label of all('label')) {
+      if (!matchText(label.innerText || label.textContent, text, exact)) continue;
+      const control = label.control || (label.htmlFor ? document.getElementById(label.htmlFor) : null);
+      if (control) controls.add(control);
+    }
+    for (const element of all('[aria-label], [aria-labelledby]')) {
+      if (['input', 'textarea', 'select'].includes(element.tagName.toLowerCase()) || element.isContentEditable || roleOf(element) === 'textbox') {
+        if (matchTextOrNull(accessibleName(element), text, exact)) controls.add(element);
+      }
+    }
+    return [...controls];
+  };
+
+  const byText = (text, exact) => {
+    // The innermost elements containing the text, not every ancestor of them
+    const matches = all('body *').filter(element =>
+      !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(element.tagName) &&
+      matchText(element.innerText || element.textContent, text, exact)
+    );
+    return matches.filter(element => !matches.some(other => other !== element && element.contains(other)));
+  };
+
+  const strategies = {
+    css: value => all(value),
+    testId: value => byAttribute(['data-testid', 'data-test-id', 'data-cy', 'data-test'], value),
+    role: (value, options) => byRole(value, options),
+    text: (value, options) => byText(value, options.exact),
+    label: (value, options) => byLabel(value, options.exact),
+    placeholder: (value, options) => all('[placeholder]').filter(element => matchText(element.getAttribute('placeholder'), value, options.exact)),
+    altText: (value, options) => all('[alt]').filter(element => matchText(element.getAttribute('alt'), value, options.exact)),
+    title: (value, options) => all('[title]').filter(element => matchText(element.getAttribute('title'), value, options.exact))
+  };
+
+  // Plain strings: most specific first, the first strategy with a match wins
+  const autoStrategies = value => {
+    const looksLikeCss = /[[.#>:\s*=]/.test(value);
+    // "login" finds a "Login" button
+    const sameText = { regexp: `^${normalize(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, flags: 'i' };
+    return [
+      ['css', () => looksLikeCss ? all(value) : []],
+      ['test id', () => strategies.testId(value)],
+      ['id or name', () => byAttribute(['id', 'name'], value)],
+      ['button or link', () => [...byRole('button', { name: sameText }), ...byRole('link', { name: sameText })]],
+      ['label', () => byLabel(sameText)],
+      ['placeholder, aria-label or title', () => byAttribute(['placeholder', 'aria-label', 'title'], value)],
+      ['submit button', () => value.toLowerCase() === 'submit' ? all('button[type="submit"], input[type="submit"]') : []],
+      ['text', () => byText(sameText)],
+      ['class', () => /^[\w-]+$/.test(value) ? all(`.${value}`) : []],
+      ['text', () => byText(value, false)],
+      ['css', () => looksLikeCss ? [] : all(value)]
+    ];
+  };
+
+  const candidates = query.strategy === 'auto'
+    ? autoStrategies(query.value)
+    : [[query.strategy, () => strategies[query.strategy](query.value, query.options || {})]];
+
+  for (const [strategy, find] of candidates) {
+    let elements = [...new Set(find())];
+    if (elements.length === 0) continue;
+
+    // Counting for assertions: nothing to pick or mark
+    if (query.count) {
+      const count = query.count === 'visible' ? elements.filter(isVisible).length : elements.length;
+      return { selector: null, count, strategy, candidates: [] };
+    }
+
+    // Hidden duplicates (mobile menus, templates) don't make a match ambiguous
+    const visible = elements.filter(isVisible);
+    if (visible.length > 0) elements = visible;
+
+    let element = null;
+    if (query.index !== undefined) {
+      element = elements[query.index < 0 ? elements.length + query.index : query.index] || null;
+    } else if (elements.length === 1 || strategy === 'css') {
+      // CSS selectors keep their usual "first match" behaviour
+      element = elements[0];
+    }
+
+    if (!element) {
+      const describe = candidate => {
+        const attributes = ['id', 'name', 'class', 'type', 'role', 'data-testid']
+          .filter(name => candidate.getAttribute(name))
+          .map(name => ` ${name}="${candidate.getAttribute(name)}"`)
+          .join('');
+        const text = normalize(candidate.innerText || candidate.textContent || candidate.getAttribute('placeholder')).slice(0, 40);
+        return `<${candidate.tagName.toLowerCase()}${attributes}>${text ? ` "${text}"` : ''}`;
+      };
+      return { selector: null, count: elements.length, strategy, candidates: elements.slice(0, 10).map(describe) };
+    }
+
+    if (!element.hasAttribute(idAttribute)) {
+      window.__latteNextId = (window.__latteNextId || 0) + 1;
+      element.setAttribute(idAttribute, String(window.__latteNextId));
+    }
+    return { selector: `[${idAttribute}="${element.getAttribute(idAttribute)}"]`, count: elements.length, strategy, candidates: [] };
+  }
+
+  return { selector: null, count: 0, strategy: null, candidates: [] };
+}
+
+/**
+ * Count the elements matching a locator or CSS selector, right now
+ * @param {import('puppeteer').Page|import('puppeteer').Frame} page - Page or iframe to search
+ * @param {string|Locator} target - Locator, or a CSS selector
+ * @param {Object} [options]
+ * @param {boolean} [options.visible] - Only count visible elements
+ * @returns {Promise<number>}
+ */
+export async function countElements(page, target, { visible = false } = {}) {
+  const query = target instanceof Locator ? target.query : { strategy: 'css', value: String(target), options: {} };
+  const { index, ...withoutIndex } = serializeQuery(query);
+  const result = await page.evaluate(queryElements, { ...withoutIndex, count: visible ? 'visible' : 'all' }, LATTE_ID_ATTRIBUTE);
+  return result.count;
+}
+
+/**
+ * Look for an element once, without waiting
+ * @param {import('puppeteer').Page|import('puppeteer').Frame} page - Page or iframe to search
+ * @param {string|Locator} target - What to find
+ * @returns {Promise<{selector: string|null, count: number, strategy: string|null, candidates: string[]}>} - selector is null when nothing or several elements match
+ */
+export async function locateOnce(page, target) {
+  return page.evaluate(queryElements, serializeQuery(toQuery(target)), LATTE_ID_ATTRIBUTE);
+}
+
+/**
+ * Resolve a locator to a CSS selector, waiting for the element to appear
+ * @param {import('puppeteer').Page|import('puppeteer').Frame} page - Page or iframe to search
+ * @param {string|Locator} target - What to find
+ * @param {number} timeout - Milliseconds to wait for the element
+ * @returns {Promise<string>} - Selector of the element ([data-latte-id="..."] or the CSS selector)
+ */
+export async function resolveLocator(page, target, timeout) {
+  const query = toQuery(target);
+  const deadline = Date.now() + timeout;
+
+  while (true) {
+    let result = null;
+    try {
+      result = await locateOnce(page, target);
+    } catch (error) {
+      // The page is navigating, query again once it has loaded
+    }
+
+    if (result && result.selector) return result.selector;
+
+    if (result && result.count > 1) {
+      const candidates = result.candidates.map((candidate, index) => `  ${index + 1}. ${candidate}`).join('\n');
+      const more = result.count > result.candidates.length ? `\n  ...and ${result.count - result.candidates.length} more` : '';
+      const hint = query.strategy === 'auto'
+        ? 'Use a more specific selector, or a locator like app.getByRole() with .nth(index)'
+        : 'Use a more specific locator, { exact: true }, or .nth(index)';
+      throw new Error(`${describeQuery(query)} matched ${result.count} elements${query.strategy === 'auto' ? ` (by ${result.strategy})` : ''}:\n${candidates}${more}\n${hint}`);
+    }
+
+    if (Date.now() >= deadline) {
+      const searched = query.strategy === 'auto'
+        ? 'Searched by CSS selector, test id, id, name, button or link text, label, placeholder, aria-label, title and visible text.'
+        : `No element matches within ${timeout}ms.`;
+      throw new Error(`Element ${describeQuery(query)} not found. ${searched}`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
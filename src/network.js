@@ -0,0 +1,300 @@
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { testPattern } from './locators.js';
+
+/**
+ * Network - Records the requests of a test's tabs and answers them from mocks
+ *
+ * Request interception is only switched on once a mock or block is added,
+ * so tests that don't mock keep the browser cache and full speed.
+ */
+export class Network {
+  constructor() {
+    this.pages = [];
+    this.routes = [];
+    this.requests = [];
+    this.interception = false;
+    // Requests/responses already returned by waitForRequest/waitForResponse
+    this.taken = { request: new Set(), response: new Set() };
+  }
+
+  /**
+   * Start recording the requests of a page (the first tab, then every popup)
+   * @param {import('puppeteer').Page} page
+   */
+  async attach(page) {
+    this.pages.push(page);
+    page.once('close', () => {
+      this.pages = this.pages.filter(other => other !== page);
+    });
+
+    page.on('request', request => {
+      const record = {
+        url: request.url(),
+        method: request.method(),
+        headers: request.headers(),
+        body: parseBody(request.postData()),
+        resourceType: request.resourceType(),
+        time: new Date().toISOString(),
+        response: null,
+        handledBy: null,
+        request
+      };
+      this.requests.push(record);
+
+      if (this.interception) {
+        this.handle(request, record).catch(() => {
+          // The page navigated away or closed while the request was pending
+        });
+      }
+    });
+
+    page.on('response', response => {
+      const record = this.requests.find(record => record.request === response.request());
+      if (record) {
+        record.response = {
+          status: response.status(),
+          headers: response.headers(),
+          response
+        };
+      }
+    });
+
+    page.on('requestfailed', request => {
+      const record = this.requests.find(record => record.request === request);
+      if (record) {
+        record.failure = request.failure() ? request.failure().errorText : 'failed';
+      }
+    });
+
+    // Mocks added before the popup opened apply to it too
+    if (this.interception) {
+      await page.setRequestInterception(true);
+    }
+  }
+
+  /**
+   * Add a route answered by handler instead of the network
+   * Routes added last win, so a test can override a mock from a beforeEach hook.
+   * @param {string|RegExp|Function} pattern - URL pattern
+   * @param {Function} handler - (request) => ({ action: 'respond', response } | { action: 'abort' } | null)
+   */
+  async route(pattern, handler) {
+    this.routes.unshift({ pattern, handler });
+
+    if (!this.interception) {
+      this.interception = true;
+      await Promise.all(this.pages.map(page => page.setRequestInterception(true)));
+    }
+  }
+
+  async handle(request, record) {
+    for (const route of this.routes) {
+      if (!urlMatches(record.url, route.pattern)) continue;
+
+      const result = await route.handler(record);
+      if (!result) continue;
+
+      record.handledBy = result.action;
+      if (result.action === 'abort') {
+        await request.abort('blockedbyclient');
+      } else {
+        const { delay, ...response } = result.response;
+        if (delay) {
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        await request.respond(response);
+      }
+      return;
+    }
+
+    await request.continue();
+  }
+
+  /**
+   * Recorded requests matching a URL pattern and optional method/body
+   * @param {string|RegExp|Function} pattern - URL pattern
+   * @param {Object} [filter]
+   * @param {string} [filter.method] - HTTP method, case-insensitive
+   * @param {*} [filter.body] - Expected body; objects match when they contain these keys
+   * @returns {Object[]}
+   */
+  find(pattern, { method, body } = {}) {
+    return this.requests.filter(record =>
+      urlMatches(record.url, pattern) &&
+      (!method || record.method === method.toUpperCase()) &&
+      (body === undefined || matchesPartial(record.body, body))
+    );
+  }
+
+  /**
+   * First matching request not returned by an earlier call, sent before or after this call
+   * @param {'request'|'response'} kind - Whether the request must have a response yet
+   * @param {string|RegExp|Function} pattern - URL pattern
+   * @param {Object} [filter] - Same as find(), plus status for responses
+   * @returns {Object|undefined} - Recorded request
+   */
+  take(kind, pattern, { status, ...filter } = {}) {
+    const record = this.find(pattern, filter).find(record =>
+      !this.taken[kind].has(record) &&
+      (kind === 'request' || (record.response && (status === undefined || record.response.status === status)))
+    );
+    if (record) this.taken[kind].add(record);
+    return record;
+  }
+}
+
+/**
+ * Public view of a recorded request (what waitForRequest returns)
+ */
+export function toRequestInfo(record) {
+  return {
+    url: record.url,
+    method: record.method,
+    headers: record.headers,
+    body: record.body,
+    resourceType: record.resourceType,
+    status: record.response ? record.response.status : null
+  };
+}
+
+/**
+ * Check a URL against a pattern
+ * - RegExp: tested against the full URL
+ * - Function: called with the URL
+ * - String with "*": glob over the full URL or its path ("*" stays in one segment, "**" spans segments)
+ * - Other strings: the URL contains the string
+ * @param {string} url - Full request URL
+ * @param {string|RegExp|Function} pattern
+ * @returns {boolean}
+ */
+export function urlMatches(url, pattern) {
+  if (pattern instanceof RegExp) return testPattern(pattern, url);
+  if (typeof pattern === 'function') return Boolean(pattern(url));
+
+  if (!pattern.includes('*')) return url.includes(pattern);
+
+  const source = pattern
+    .split('**')
+    .map(part => part.split('*').map(escapeRegExp).join('[^/]*'))
+    .join('.*');
+  const regex = new RegExp(`^${source}$`);
+
+  let path = url;
+  try {
+    const parsed = new URL(url);
+    path = parsed.pathname + parsed.search;
+  } catch (error) {
+    // Not an absolute URL, match it as-is
+  }
+  return regex.test(url) || regex.test(path);
+}
+
+/**
+ * Deep match where objects only need to contain the expected keys
+ * @param {*} actual - Recorded value
+ * @param {*} expected - Expected value; RegExp matches strings
+ * @returns {boolean}
+ */
+export function matchesPartial(actual, expected) {
+  if (expected instanceof RegExp) return typeof actual === 'string' && testPattern(expected, actual);
+
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) &&
+      actual.length === expected.length &&
+      expected.every((item, index) => matchesPartial(actual[index], item));
+  }
+
+  if (expected !== null && typeof expected === 'object') {
+    return actual !== null && typeof actual === 'object' &&
+      Object.keys(expected).every(key => matchesPartial(actual[key], expected[key]));
+  }
+
+  return actual === expected;
+}
+
+/**
+ * Build a Puppeteer response from a mock definition
+ * @param {Object|string} mock - { status, headers, contentType, body, json, fixture, delay } or a fixture path
+ * @param {string} fixturesDir - Folder fixture paths are relative to
+ * @returns {Promise<Object>} - Options for request.respond()
+ */
+export async function buildMockResponse(mock, fixturesDir) {
+  const definition = typeof mock === 'string' ? { fixture: mock } : { ...mock };
+
+  if (definition.fixture) {
+    const file = resolve(fixturesDir, definition.fixture);
+    let content;
+    try {
+      content = await readFile(file, 'utf8');
+    } catch (error) {
+      throw new Error(`Fixture not found: ${definition.fixture} (looked in ${fixturesDir})`);
+    }
+
+    if (file.endsWith('.json')) {
+      try {
+        definition.json = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`Fixture ${definition.fixture} is not valid JSON: ${error.message}`);
+      }
+    } else {
+      definition.body = content;
+    }
+  }
+
+  // Plain objects and arrays are sent as JSON
+  if (definition.json === undefined && definition.body !== null && typeof definition.body === 'object' && !Buffer.isBuffer(definition.body)) {
+    definition.json = definition.body;
+  }
+
+  const response = {
+    status: definition.status || 200,
+    headers: definition.headers || {},
+    delay: definition.delay || 0
+  };
+
+  if (definition.json !== undefined) {
+    response.contentType = definition.contentType || 'application/json';
+    response.body = JSON.stringify(definition.json);
+  } else {
+    response.contentType = definition.contentType || 'text/plain';
+    response.body = definition.body ?? '';
+  }
+
+  return response;
+}
+
+/**
+ * Describe a URL pattern for logs and error messages
+ */
+export function describePattern(pattern) {
+  if (typeof pattern === 'function') return 'custom URL matcher';
+  return pattern instanceof RegExp ? String(pattern) : `"${pattern}"`;
+}
+
+/**
+ * Short description of a recorded request, for logs and error messages
+ */
+export function describeRequest(record) {
+  const status = record.response ? ` → ${record.response.status}` : record.failure ? ` → ${record.failure}` : '';
+  return `${record.method} ${record.url}${status}`;
+}
+
+function parseBody(postData) {
+  if (postData === undefined || postData === null) return undefined;
+
+  try {
+    return JSON.parse(postData);
+  } catch (error) {
+    // Form data and plain text
+  }
+
+  if (/^[^=&\s]+=[^&]*(&[^=&\s]+=[^&]*)*$/.test(postData)) {
+    return Object.fromEntries(new URLSearchParams(postData));
+  }
+  return postData;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,202 @@
+import { deflateSync, inflateSync } from 'node:zlib';
+
+/**
+ * PNG - decode and encode the images used by screenshot comparison
+ *
+ * Only what browsers produce is supported: non-interlaced images,
+ * 8-bit samples (16-bit is reduced to 8), greyscale, RGB, palette and alpha.
+ * Images are handled as { width, height, data } with 4 bytes (RGBA) per pixel.
+ */
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel for each colour type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(buffer) {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Decode a PNG file
+ * @param {Buffer} buffer - PNG file content
+ * @returns {{width: number, height: number, data: Uint8Array}} - RGBA pixels
+ */
+export function decodePng(buffer) {
+  if (!buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const compressed = [];
+
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      compressed.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) throw new Error('Invalid PNG image: no IHDR chunk');
+  const { width, height, bitDepth, colorType, interlace } = header;
+  if (interlace) throw new Error('Interlaced PNG images are not supported');
+  if (CHANNELS[colorType] === undefined || (bitDepth !== 8 && bitDepth !== 16)) {
+    throw new Error(`Unsupported PNG format (colour type ${colorType}, ${bitDepth}-bit)`);
+  }
+
+  const bytesPerSample = bitDepth / 8;
+  const bytesPerPixel = CHANNELS[colorType] * bytesPerSample;
+  const stride = width * bytesPerPixel;
+  const raw = unfilter(inflateSync(Buffer.concat(compressed)), height, stride, bytesPerPixel);
+
+  const data = new Uint8Array(width * height * 4);
+  // Screenshots are 8-bit RGBA: rows are already in the right layout
+  if (colorType === 6 && bitDepth === 8) {
+    data.set(raw);
+    return { width, height, data };
+  }
+
+  for (let pixel = 0; pixel < width * height; pixel++) {
+    const source = pixel * bytesPerPixel;
+    // 16-bit samples keep their most significant byte
+    const sample = index => raw[source + index * bytesPerSample];
+    const target = pixel * 4;
+    let red, green, blue;
+    let alpha = 255;
+
+    if (colorType === 3) {
+      const index = sample(0);
+      red = palette[index * 3];
+      green = palette[index * 3 + 1];
+      blue = palette[index * 3 + 2];
+      if (transparency && index < transparency.length) alpha = transparency[index];
+    } else if (colorType === 0 || colorType === 4) {
+      red = green = blue = sample(0);
+      if (colorType === 4) {
+        alpha = sample(1);
+      } else if (transparency) {
+        const grey = bitDepth === 16 ? raw.readUInt16BE(source) : sample(0);
+        if (transparency.readUInt16BE(0) === grey) alpha = 0;
+      }
+    } else {
+      red = sample(0);
+      green = sample(1);
+      blue = sample(2);
+      if (colorType === 6) alpha = sample(3);
+    }
+
+    data[target] = red;
+    data[target + 1] = green;
+    data[target + 2] = blue;
+    data[target + 3] = alpha;
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Undo the per-row filters of PNG scanlines
+ */
+function unfilter(inflated, height, stride, bytesPerPixel) {
+  const raw = Buffer.alloc(height * stride);
+
+  for (let y = 0; y < height; y++) {
+    const filter = inflated[y * (stride + 1)];
+    const line = inflated.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    const previous = row - stride;
+
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bytesPerPixel ? raw[row + i - bytesPerPixel] : 0;
+      const up = y > 0 ? raw[previous + i] : 0;
+      const upLeft = y > 0 && i >= bytesPerPixel ? raw[previous + i - bytesPerPixel] : 0;
+
+      let value = line[i];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+      raw[row + i] = value & 0xff;
+    }
+  }
+
+  return raw;
+}
+
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+  return toUp <= toUpLeft ? up : upLeft;
+}
+
+/**
+ * Encode RGBA pixels as a PNG file
+ * @param {{width: number, height: number, data: Uint8Array}} image
+ * @returns {Buffer}
+ */
+export function encodePng({ width, height, data }) {
+  const stride = width * 4;
+  // Filter type 0 (none) on every row; deflate does the work
+  const raw = Buffer.alloc(height * (stride + 1));
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function chunk(type, content) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(content.length);
+  const typeAndContent = Buffer.concat([Buffer.from(type, 'ascii'), content]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndContent));
+  return Buffer.concat([length, typeAndContent, crc]);
+}
@@ -0,0 +1,88 @@
+import { appendFileSync, readFileSync, existsSync, unlinkSync } from 'node:fs';
+
+/**
+ * Result protocol between test-file processes and the Latte CLI
+ *
+ * The CLI hands every child process a side file through LATTE_EVENTS_FILE.
+ * The child appends one JSON event per line, so the CLI can aggregate real
+ * per-test results instead of guessing from console output.
+ */
+
+export const EVENTS_FILE_ENV = 'LATTE_EVENTS_FILE';
+
+export class EventChannel {
+  /**
+   * @param {string} file - Path of the JSON-lines file to append events to
+   */
+  constructor(file) {
+    this.file = file;
+  }
+
+  /**
+   * Create a channel from the environment, if the CLI requested one
+   * @returns {EventChannel|null}
+   */
+  static fromEnv(env = process.env) {
+    return env[EVENTS_FILE_ENV] ? new EventChannel(env[EVENTS_FILE_ENV]) : null;
+  }
+
+  /**
+   * Append an event to the channel
+   * @param {string} event - Event name (run:start, test:start, test:end, run:end)
+   * @param {Object} payload - Event data
+   */
+  emit(event, payload = {}) {
+    // Written synchronously so nothing is lost when the child calls process.exit()
+    appendFileSync(this.file, JSON.stringify({ event, time: Date.now(), ...payload }) + '\n');
+  }
+}
+
+/**
+ * Read all events written by a child process
+ * @param {string} file - Path of the events file
+ * @returns {Array<Object>} - Parsed events, in the order they were written
+ */
+export function readEvents(file) {
+  if (!existsSync(file)) return [];
+
+  const events = [];
+  for (const line of readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch (error) {
+      // A child killed mid-write can leave a partial last line, ignore it
+    }
+  }
+  return events;
+}
+
+/**
+ * Remove an events file once it has been read
+ * @param {string} file - Path of the events file
+ */
+export function removeEvents(file) {
+  try {
+    unlinkSync(file);
+  } catch (error) {
+    // Already gone (child never wrote anything)
+  }
+}
+
+/**
+ * Turn a child's events into a per-file result
+ * @param {Array<Object>} events - Events read from the channel
+ * @returns {{tests: Array, completed: boolean, duration: number}}
+ */
+export function collectResults(events) {
+  const tests = events
+    .filter(e => e.event === 'test:end')
+    .map(e => e.result);
+  const end = events.find(e => e.event === 'run:end');
+
+  return {
+    tests,
+    completed: Boolean(end),
+    duration: end ? end.duration : tests.reduce((sum, t) => sum + (t.duration || 0), 0)
+  };
+}
@@ -0,0 +1,209 @@
+import { writeFile, mkdir } from 'node:fs/promises';
+import { dirname, resolve, relative } from 'node:path';
+import { importModule, defaultExport } from './config.js';
+import { stripColors } from './diff.js';
+
+/**
+ * Reporters - turn the results collected by the CLI into files for CI
+ *
+ * A reporter is any object with some of these optional methods:
+ *   onRunStart({ files, projects })  - before the first test file is spawned
+ *   onFileEnd(fileResult)  - after each test file finished
+ *   onRunEnd(runResult)    - once, with the results of every file
+ */
+export class Reporter {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  onRunStart(info) {}
+
+  onFileEnd(fileResult) {}
+
+  async onRunEnd(runResult) {}
+}
+
+/**
+ * JUnit XML reporter, understood by GitLab, Jenkins and most CI servers
+ */
+export class JUnitReporter extends Reporter {
+  async onRunEnd(runResult) {
+    const output = this.options.output || 'latte-results.xml';
+    await writeReport(output, this.toXml(runResult));
+    console.log(`📝 JUnit report written to ${output}`);
+  }
+
+  toXml(runResult) {
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="latte" tests="${runResult.total}" failures="${runResult.failed}" skipped="${runResult.skipped + runResult.todo}" time="${seconds(runResult.duration)}">`
+    ];
+
+    for (const fileResult of runResult.files) {
+      // Each project gets its own suites: "mobile › tests/login.test.js"
+      const suiteName = fileResult.project ? `${fileResult.project} › ${displayPath(fileResult.file)}` : displayPath(fileResult.file);
+      const failures = fileResult.tests.filter(test => test.status === 'failed').length;
+      const skipped = fileResult.tests.filter(test => test.status === 'skipped' || test.status === 'todo').length;
+
+      lines.push(`  <testsuite name="${escapeXml(suiteName)}" tests="${fileResult.tests.length}" failures="${failures}" skipped="${skipped}" time="${seconds(fileResult.duration)}">`);
+
+      for (const test of fileResult.tests) {
+        const className = test.group ? `${suiteName} › ${test.group}` : suiteName;
+        lines.push(`    <testcase classname="${escapeXml(className)}" name="${escapeXml(test.description)}" time="${seconds(test.duration)}">`);
+
+        if (test.status === 'failed') {
+          lines.push(`      <failure message="${escapeXml(firstLine(test.error))}">${escapeXml(test.error || '')}</failure>`);
+        } else if (test.status === 'skipped' || test.status === 'todo') {
+          lines.push(`      <skipped message="${test.status}"/>`);
+        }
+        // Surefire-style flaky markers, understood by Jenkins
+        for (const retryError of test.retryErrors || []) {
+          lines.push(`      <flakyFailure message="${escapeXml(firstLine(retryError))}">${escapeXml(retryError || '')}</flakyFailure>`);
+        }
+        const output = [...(test.logs || []), ...attachmentLines(test.artifacts)];
+        if (output.length > 0) {
+          lines.push(`      <system-out>${cdata(output.join('\n'))}</system-out>`);
+        }
+
+        lines.push('    </testcase>');
+      }
+
+      lines.push('  </testsuite>');
+    }
+
+    lines.push('</testsuites>');
+    return lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * JSON reporter, with every test result of every file
+ */
+export class JsonReporter extends Reporter {
+  async onRunEnd(runResult) {
+    const output = this.options.output || 'latte-results.json';
+    await writeReport(output, JSON.stringify(this.toJson(runResult), null, 2) + '\n');
+    console.log(`📝 JSON report written to ${output}`);
+  }
+
+  toJson(runResult) {
+    return {
+      stats: {
+        total: runResult.total,
+        passed: runResult.passed,
+        failed: runResult.failed,
+        skipped: runResult.skipped,
+        todo: runResult.todo,
+        flaky: runResult.flaky,
+        duration: runResult.duration,
+        startTime: new Date(runResult.startTime).toISOString(),
+        ...(runResult.files.some(fileResult => fileResult.project) ? { projects: projectStats(runResult.files) } : {})
+      },
+      files: runResult.files.map(fileResult => ({
+        file: displayPath(fileResult.file),
+        ...(fileResult.project ? { project: fileResult.project } : {}),
+        duration: fileResult.duration,
+        exitCode: fileResult.exitCode,
+        // Failure diffs are coloured for the terminal
+        tests: fileResult.tests.map(test => ({
+          ...test,
+          ...(test.error ? { error: stripColors(test.error) } : {}),
+          ...(test.retryErrors ? { retryErrors: test.retryErrors.map(stripColors) } : {})
+        }))
+      }))
+    };
+  }
+}
+
+export const builtinReporters = {
+  junit: JUnitReporter,
+  json: JsonReporter
+};
+
+/**
+ * Create a reporter by built-in name or from a module path
+ * @param {string} name - "junit", "json" or a path to a module exporting a reporter
+ * @param {Object} options - Reporter options (e.g. { output: 'results.xml' })
+ * @param {string} baseDir - Directory reporter module paths are relative to
+ * @returns {Promise<Reporter>}
+ */
+export async function createReporter(name, options = {}, baseDir = process.cwd()) {
+  if (builtinReporters[name]) {
+    return new builtinReporters[name](options);
+  }
+
+  let module;
+  try {
+    module = await importModule(resolve(baseDir, name));
+  } catch (error) {
+    throw new Error(`Unknown reporter "${name}". Use ${Object.keys(builtinReporters).join(', ')} or a path to a reporter module (${error.message})`);
+  }
+
+  const exported = defaultExport(module);
+  // Accept a reporter class, a factory function or a plain object
+  if (typeof exported === 'function') {
+    return /^class\b/.test(Function.prototype.toString.call(exported))
+      ? new exported(options)
+      : exported(options);
+  }
+  return exported;
+}
+
+/**
+ * Counts per project, in the order the projects ran
+ */
+function projectStats(files) {
+  const stats = {};
+  for (const fileResult of files) {
+    const counts = stats[fileResult.project] ??= { total: 0, passed: 0, failed: 0, skipped: 0, todo: 0, flaky: 0 };
+    for (const test of fileResult.tests) {
+      counts.total++;
+      counts[test.status]++;
+      if (test.flaky) counts.flaky++;
+    }
+  }
+  return stats;
+}
+
+async function writeReport(output, content) {
+  await mkdir(dirname(resolve(output)), { recursive: true });
+  await writeFile(output, content);
+}
+
+function displayPath(file) {
+  return relative(process.cwd(), file).replace(/\\/g, '/');
+}
+
+/**
+ * Failure artifacts in the [[ATTACHMENT|path]] format read by Jenkins and GitLab
+ */
+function attachmentLines(artifacts) {
+  if (!artifacts) return [];
+  return ['screenshot', 'html', 'console', 'logs']
+    .filter(key => artifacts[key])
+    .map(key => `[[ATTACHMENT|${artifacts[key]}]]`);
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+function firstLine(text) {
+  return (text || '').split('\n')[0];
+}
+
+function escapeXml(text) {
+  return stripColors(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters (ANSI colours, etc.) are not allowed in XML 1.0
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+function cdata(text) {
+  const safe = String(text).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+  return `<![CDATA[${safe.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
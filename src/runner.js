@@ -1,11 +1,46 @@
+import { rm } from 'node:fs/promises';
+import { basename, dirname, join, resolve } from 'node:path';
 import { BrowserApp } from './browser-app.js';
+import { saveFailureArtifacts, slugify, testArtifactsDir } from './artifacts.js';
+import { BrowserPool } from './browser-pool.js';
+import { harPath } from './har.js';
+import { SoftAssertions } from './soft.js';
+import { errorMessage } from './errors.js';
 
 /**
  * TestRunner - Executes latte tests and provides formatted output
  */
 export class TestRunner {
-  constructor() {
+  /**
+   * @param {Object} options - Runner options
+   * @param {import('./protocol.js').EventChannel} [options.channel] - Where to report per-test events for the CLI
+   * @param {string} [options.grep] - Only run tests whose group path and description match this regex
+   * @param {string} [options.artifactsDir] - Save screenshot, HTML and logs of failed tests here
+   * @param {number} [options.retries] - Default number of retries for failed tests
+   * @param {Object} [options.browserDefaults] - BrowserApp options from latte.config, overridden per test
+   * @param {boolean} [options.headed] - Show the browser for every test (--headed), whatever the test options say
+   * @param {Object} [options.har] - Record or replay each test's traffic: { mode, dir, ignoreQuery, matchBody }
+   * @param {string} [options.testFile] - Path of the test file being run
+   * @param {boolean} [options.updateSnapshots] - Save new screenshot baselines instead of comparing (--update-snapshots)
+   * @param {string} [options.project] - Config project this run belongs to
+   */
+  constructor(options = {}) {
     this.results = [];
+    this.channel = options.channel || null;
+    this.grep = options.grep ? new RegExp(options.grep) : null;
+    this.artifactsDir = options.artifactsDir || null;
+    this.retries = options.retries || 0;
+    this.browserDefaults = options.browserDefaults || {};
+    this.headed = options.headed || false;
+    this.har = options.har || null;
+    this.testFile = options.testFile || null;
+    this.updateSnapshots = options.updateSnapshots || false;
+    this.project = options.project || null;
+    // One browser for the whole test file, each test gets its own context
+    this.pool = new BrowserPool();
+    this.openSuites = [];
+    this.startedSuites = new Set();
+    this.failedSuites = new Map();
   }
 
   /**
@@ -15,92 +50,444 @@ export class TestRunner {
    */
   async runAll(tests) {
     this.results = [];
-    let passed = 0;
-    let failed = 0;
+    this.openSuites = [];
+    this.startedSuites = new Set();
+    this.failedSuites = new Map();
+    const counts = { passed: 0, failed: 0, skipped: 0, todo: 0, flaky: 0 };
+    const startTime = Date.now();
+    const selectedTests = this.selectTests(tests);
+
+    this.emit('run:start', { total: selectedTests.length });
+
+    for (const test of selectedTests) {
+      // Tests are registered in source order, so each group's tests are contiguous
+      const suites = this.suiteChain(test.suite);
+      await this.enterSuites(suites);
+      const indent = '  '.repeat(this.groupDepth());
 
-    for (const test of tests) {
-      const result = await this.runSingle(test);
+      this.emit('test:start', { description: test.description, group: test.group });
+      const result = await this.runPlanned(test, suites);
       this.results.push(result);
-      
-      if (result.passed) {
-        passed++;
-        console.log(`✅ ${result.description}`);
+      this.emit('test:end', { result });
+      counts[result.status]++;
+      if (result.flaky) counts.flaky++;
+
+      if (result.flaky) {
+        console.log(`${indent}⚠️  ${result.description} (flaky, passed on attempt ${result.attempts})`);
+      } else if (result.status === 'passed') {
+        console.log(`${indent}✅ ${result.description}`);
+      } else if (result.status === 'skipped') {
+        console.log(`${indent}⏭️  ${result.description} (skipped)`);
+      } else if (result.status === 'todo') {
+        console.log(`${indent}📝 ${result.description} (todo)`);
       } else {
-        failed++;
-        console.log(`❌ ${result.description}`);
-        console.log(`   ${result.error}`);
+        console.log(`${indent}❌ ${result.description}`);
+        // Multi-line errors (diffs) stay under the test name
+        console.log(`${indent}   ${result.error.split('\n').join(`\n${indent}   `)}`);
+        if (result.artifacts) {
+          console.log(`${indent}   📎 Artifacts: ${result.artifacts.dir}`);
+        }
       }
     }
 
+    await this.enterSuites([]);
+    await this.pool.closeAll();
+
+    this.emit('run:end', { ...counts, duration: Date.now() - startTime, summary: this.getSummary() });
+
     return {
-      passed,
-      failed,
+      ...counts,
       results: this.results
     };
   }
 
   /**
-   * Run a single test
+   * Apply .only and --grep: tests they rule out are not run nor reported
+   * @param {Array} tests - All registered tests
+   * @returns {Array} - Tests to run or report as skipped/todo
+   */
+  selectTests(tests) {
+    const hasOnly = tests.some(test => this.testModes(test).includes('only'));
+
+    return tests.filter(test => {
+      if (hasOnly && !this.testModes(test).includes('only')) return false;
+      if (this.grep && !this.grep.test(this.fullTitle(test))) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Modifiers set on a test and on all of its groups
+   * @returns {string[]} - e.g. ['skip', 'only']
+   */
+  testModes(test) {
+    return [test.mode, ...this.suiteChain(test.suite).map(suite => suite.mode)].filter(Boolean);
+  }
+
+  /**
+   * Group path and description of a test, e.g. "Checkout › Payment › declined card"
+   */
+  fullTitle(test) {
+    return [...(test.groupPath || []), test.description].join(' › ');
+  }
+
+  /**
+   * Name for the files a test leaves behind (artifacts, HAR)
+   * Projects run the same tests side by side, so each keeps its own.
+   */
+  fileTitle(test) {
+    return this.project ? `${this.project} ${this.fullTitle(test)}` : this.fullTitle(test);
+  }
+
+  /**
+   * Run a test, or report it as skipped/todo without starting a browser
+   * @param {Object} test - Test object
+   * @param {Array} suites - Suite chain of the test
+   */
+  async runPlanned(test, suites) {
+    const modes = this.testModes(test);
+    const status = modes.includes('todo') ? 'todo' : modes.includes('skip') ? 'skipped' : null;
+
+    if (status) {
+      return {
+        description: test.description,
+        fullTitle: this.fullTitle(test),
+        passed: false,
+        status,
+        duration: 0,
+        group: test.group || null,
+        logs: []
+      };
+    }
+
+    await this.startSuites(suites);
+    return this.runSingle(test);
+  }
+
+  /**
+   * Forward an event to the CLI, if this process was spawned by it
+   */
+  emit(event, payload) {
+    if (this.channel) {
+      this.channel.emit(event, payload);
+    }
+  }
+
+  /**
+   * Number of named groups currently open, used to indent output
+   */
+  groupDepth() {
+    return this.openSuites.filter(suite => suite.name).length;
+  }
+
+  /**
+   * Get the chain of suites a test belongs to, outermost first
+   * @param {Object} [suite] - Innermost suite of the test
+   * @returns {Array} - Suites from the file level down to the test's own group
+   */
+  suiteChain(suite) {
+    const chain = [];
+    for (let current = suite; current; current = current.parent) {
+      chain.unshift(current);
+    }
+    return chain;
+  }
+
+  /**
+   * Leave the groups the next test is not part of and enter its new ones,
+   * running afterAll hooks and printing group headers on the way
+   * @param {Array} chain - Suite chain of the next test (empty to leave all groups)
+   */
+  async enterSuites(chain) {
+    let common = 0;
+    while (common < this.openSuites.length && this.openSuites[common] === chain[common]) {
+      common++;
+    }
+
+    // Close the innermost groups first
+    while (this.openSuites.length > common) {
+      const suite = this.openSuites.pop();
+      if (this.startedSuites.has(suite)) {
+        await this.runAllHooks(suite, 'afterAll');
+      }
+    }
+
+    for (const suite of chain.slice(common)) {
+      if (suite.name) {
+        const indent = '  '.repeat(this.groupDepth());
+        console.log(`${indent}📁 ${suite.name}`);
+      }
+      this.openSuites.push(suite);
+    }
+  }
+
+  /**
+   * Run beforeAll hooks of groups about to run their first test,
+   * so groups with only skipped tests never run them
+   * @param {Array} chain - Suite chain of the test about to run
+   */
+  async startSuites(chain) {
+    for (let i = 0; i < chain.length; i++) {
+      const suite = chain[i];
+      if (this.startedSuites.has(suite)) continue;
+      this.startedSuites.add(suite);
+
+      // Skip beforeAll when an outer group's beforeAll already failed
+      if (!this.findSuiteFailure(chain.slice(0, i))) {
+        await this.runAllHooks(suite, 'beforeAll');
+      }
+    }
+  }
+
+  /**
+   * Run a group's beforeAll/afterAll hooks
+   * @param {Object} suite - Group whose hooks to run
+   * @param {string} type - 'beforeAll' or 'afterAll'
+   */
+  async runAllHooks(suite, type) {
+    for (const hook of suite.hooks[type]) {
+      try {
+        await hook();
+      } catch (error) {
+        if (type === 'beforeAll') {
+          // Every test in this group will fail with this error
+          this.failedSuites.set(suite, error);
+          return;
+        }
+        console.log(`⚠️  Warning: afterAll hook failed${suite.name ? ` in "${suite.name}"` : ''}: ${errorMessage(error)}`);
+      }
+    }
+  }
+
+  /**
+   * Find a failed beforeAll hook in a test's groups
+   * @param {Array} suites - Suite chain of the test
+   * @returns {Error|null}
+   */
+  findSuiteFailure(suites) {
+    for (const suite of suites) {
+      if (this.failedSuites.has(suite)) {
+        const error = this.failedSuites.get(suite);
+        return new Error(`beforeAll hook failed${suite.name ? ` in "${suite.name}"` : ''}: ${errorMessage(error)}`);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Run a single test, retrying it in a fresh browser when it fails
    * @param {Object} test - Test object with description and testFn
-   * @returns {Promise<{description: string, passed: boolean, error?: string, duration: number}>}
+   * @returns {Promise<{description: string, passed: boolean, status: string, error?: string, duration: number, group: string|null, logs: string[], attempts: number, flaky: boolean}>}
    */
   async runSingle(test) {
     const startTime = Date.now();
+    const suites = this.suiteChain(test.suite);
+    // A failed beforeAll fails the same way on every attempt, don't retry it
+    const retries = this.findSuiteFailure(suites) ? 0 : this.resolveRetries(test, suites);
+    const retryErrors = [];
+    let result;
+
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      if (attempt > 1) {
+        const indent = '  '.repeat(this.groupDepth());
+        console.log(`${indent}🔁 Retrying "${test.description}" (attempt ${attempt} of ${retries + 1}): ${retryErrors[retryErrors.length - 1]}`);
+      }
+
+      result = await this.runAttempt(test, suites, { lastAttempt: attempt === retries + 1 });
+      result.attempts = attempt;
+      if (result.passed) break;
+      retryErrors.push(result.error);
+    }
+
+    result.duration = Date.now() - startTime;
+    // Passing only after a retry means the test is unreliable
+    result.flaky = result.passed && result.attempts > 1;
+    if (retryErrors.length > 0 && result.passed) {
+      result.retryErrors = retryErrors;
+    }
+
+    return result;
+  }
+
+  /**
+   * Number of retries for a test: test option, then nearest group option, then --retries
+   * @param {Object} test - Test object
+   * @param {Array} suites - Suite chain of the test
+   * @returns {number}
+   */
+  resolveRetries(test, suites) {
+    const options = test.options || {};
+    if (options.retries !== undefined) return options.retries;
+
+    for (let i = suites.length - 1; i >= 0; i--) {
+      if (suites[i].options && suites[i].options.retries !== undefined) {
+        return suites[i].options.retries;
+      }
+    }
+
+    return this.retries;
+  }
+
+  /**
+   * Run one attempt of a test in its own browser
+   * @param {Object} test - Test object with description and testFn
+   * @param {Array} suites - Suite chain of the test
+   * @param {Object} attemptOptions
+   * @param {boolean} attemptOptions.lastAttempt - Failure artifacts are only saved for the last attempt
+   */
+  async runAttempt(test, suites, { lastAttempt }) {
+    const startTime = Date.now();
+    const options = test.options || {};
+    const artifactsDir = options.artifactsDir || this.artifactsDir;
     let app = null;
-    
-    try {
-      // Create browser app instance with test options
-      app = new BrowserApp(test.options || {});
-      
-      // Run startBy hook if provided
-      if (test.options.startBy) {
-        await test.options.startBy(app);
+    let artifacts = null;
+    let testError = this.findSuiteFailure(suites);
+    const softAssertions = new SoftAssertions();
+    const outputDir = testArtifactsDir(artifactsDir, this.testFile, this.fileTitle(test));
+    // Images of an earlier run or attempt would be mistaken for this one's
+    await rm(outputDir, { recursive: true, force: true });
+
+    if (!testError) {
+      try {
+        // Create browser app instance with config defaults and test options
+        const browserOptions = { ...this.browserDefaults, ...options };
+        if (this.headed) browserOptions.headless = false;
+        // A test's device replaces the configured screen, and a test's viewport the configured device
+        if (options.device && !options.viewport) delete browserOptions.viewport;
+        if (options.viewport && !options.device) delete browserOptions.device;
+        // Screenshot baselines live next to the test file, keyed by file name and project
+        const snapshotDir = this.testFile
+          ? join(dirname(this.testFile), '__screenshots__', basename(this.testFile))
+          : resolve('__screenshots__');
+        browserOptions.snapshotDir = this.project ? join(snapshotDir, slugify(this.project)) : snapshotDir;
+        browserOptions.outputDir = outputDir;
+        browserOptions.updateSnapshots = this.updateSnapshots;
+        // One HAR file per test; a test can tune matching with its own har option, or opt out with har: false
+        if (this.har && options.har !== false) {
+          browserOptions.har = { ...this.har, ...options.har, path: harPath(this.har.dir, this.testFile, this.fileTitle(test)) };
+        } else {
+          delete browserOptions.har;
+        }
+        app = new BrowserApp(browserOptions, { pool: this.pool });
+        softAssertions.app = app;
+
+        // expect.soft() and app.soft record their failures into this test's collector
+        await softAssertions.run(async () => {
+          // Run beforeEach hooks from the outermost group inwards
+          for (const suite of suites) {
+            for (const hook of suite.hooks.beforeEach) {
+              await hook(app);
+            }
+          }
+
+          // Run startBy hook if provided
+          if (options.startBy) {
+            await options.startBy(app);
+          }
+
+          // Run the test function
+          await test.testFn(app);
+        });
+      } catch (error) {
+        testError = error;
       }
-      
-      // Run the test function
-      await test.testFn(app);
-      
-      // Run finishBy hook if provided
-      if (test.options.finishBy) {
-        await test.options.finishBy(app);
+    }
+
+    await softAssertions.settle();
+    const softFailed = softAssertions.failures.length > 0;
+
+    // Replayed tests must not have sent requests missing from the recording,
+    // and the page must not have thrown or logged what the failOn option forbids.
+    // Checked before the artifacts are captured, so these failures get them too.
+    if (app && !testError) {
+      try {
+        app.checkUnmatchedRequests();
+        app.checkPageErrors();
+      } catch (error) {
+        testError = error;
       }
-      
-      // Cleanup browser
-      await app.cleanup();
-      
-      const duration = Date.now() - startTime;
-      
-      return {
-        description: test.description,
-        passed: true,
-        duration,
-        group: test.group
-      };
-    } catch (error) {
-      // Still run finishBy hook even if test fails (for cleanup)
-      if (app && test.options.finishBy) {
+    }
+
+    // Capture the page as the test left it, before hooks or cleanup change it
+    if ((testError || softFailed) && app && artifactsDir && lastAttempt) {
+      artifacts = await this.captureArtifacts(app, artifactsDir, test);
+    }
+
+    // Screenshots of soft failures go next to the other artifacts (latte-artifacts/ without --artifacts-dir)
+    if (softFailed) {
+      try {
+        await softAssertions.saveScreenshots(outputDir);
+      } catch (error) {
+        console.log(`⚠️  Warning: could not save soft assertion screenshots: ${error.message}`);
+      }
+      testError = softAssertions.toError(testError);
+    }
+
+    if (app) {
+      // finishBy and afterEach hooks run even if the test failed (for cleanup)
+      const teardown = [
+        ...(options.finishBy ? [{ name: 'finishBy', fn: options.finishBy }] : []),
+        ...suites.slice().reverse().flatMap(suite => suite.hooks.afterEach.map(fn => ({ name: 'afterEach', fn })))
+      ];
+
+      for (const step of teardown) {
         try {
-          await test.options.finishBy(app);
-        } catch (finishByError) {
-          // Log but don't fail the test because of finishBy error
-          console.log(`⚠️  Warning: finishBy hook failed: ${finishByError.message}`);
+          await step.fn(app);
+        } catch (error) {
+          if (testError) {
+            // Log but don't hide the original failure because of a cleanup error
+            console.log(`⚠️  Warning: ${step.name} hook failed: ${errorMessage(error)}`);
+          } else {
+            testError = error;
+          }
         }
       }
-      
-      // Cleanup browser if needed
-      if (app) {
+
+      // Cleanup browser (the context closes even if the HAR file can't be written)
+      try {
         await app.cleanup();
+      } catch (error) {
+        if (testError) {
+          console.log(`⚠️  Warning: cleanup failed: ${errorMessage(error)}`);
+        } else {
+          testError = error;
+        }
       }
-      
-      const duration = Date.now() - startTime;
-      
-      return {
-        description: test.description,
-        passed: false,
-        error: error.message,
-        duration,
-        group: test.group
-      };
+    }
+
+    const duration = Date.now() - startTime;
+    const result = {
+      description: test.description,
+      fullTitle: this.fullTitle(test),
+      passed: !testError,
+      status: testError ? 'failed' : 'passed',
+      duration,
+      group: test.group || null,
+      logs: app ? app.getLogs() : []
+    };
+
+    if (testError) {
+      result.error = errorMessage(testError);
+    }
+    if (softFailed) {
+      result.softFailures = softAssertions.failures.map(({ message, screenshot }) => ({ message, screenshot }));
+    }
+    if (artifacts) {
+      result.artifacts = artifacts;
+    }
+
+    return result;
+  }
+
+  /**
+   * Save failure artifacts without letting a capture problem hide the test error
+   */
+  async captureArtifacts(app, dir, test) {
+    try {
+      return await saveFailureArtifacts(app, { dir, testFile: this.testFile, title: this.fileTitle(test) });
+    } catch (error) {
+      console.log(`⚠️  Warning: could not save failure artifacts: ${error.message}`);
+      return null;
     }
   }
 
@@ -108,15 +495,20 @@ export class TestRunner {
    * Get formatted results summary
    */
   getSummary() {
-    const passed = this.results.filter(r => r.passed).length;
-    const failed = this.results.filter(r => !r.passed).length;
+    const count = status => this.results.filter(r => r.status === status).length;
+    const passed = count('passed');
+    const failed = count('failed');
     const total = this.results.length;
+    const executed = passed + failed;
     
     return {
       total,
       passed,
       failed,
-      passRate: total > 0 ? (passed / total * 100).toFixed(1) : 0
+      skipped: count('skipped'),
+      todo: count('todo'),
+      flaky: this.results.filter(r => r.flaky).length,
+      passRate: executed > 0 ? (passed / executed * 100).toFixed(1) : 0
     };
   }
 
@@ -124,9 +516,10 @@ export class TestRunner {
    * Get detailed results for debugging
    */
   getDetailedResults() {
+    const labels = { passed: 'PASS', failed: 'FAIL', skipped: 'SKIP', todo: 'TODO' };
     return this.results.map(result => ({
       ...result,
-      status: result.passed ? 'PASS' : 'FAIL'
+      status: labels[result.status]
     }));
   }
 }
@@ -0,0 +1,56 @@
+/**
+ * Runtime options passed from the Latte CLI to test processes
+ *
+ * Each test file runs in its own process, so command line flags
+ * reach the test runner through environment variables.
+ */
+
+const RUNTIME_ENV = {
+  grep: 'LATTE_GREP',
+  artifactsDir: 'LATTE_ARTIFACTS_DIR',
+  retries: 'LATTE_RETRIES',
+  config: 'LATTE_CONFIG',
+  profile: 'LATTE_PROFILE',
+  headed: 'LATTE_HEADED',
+  harMode: 'LATTE_HAR_MODE',
+  harDir: 'LATTE_HAR_DIR',
+  updateSnapshots: 'LATTE_UPDATE_SNAPSHOTS',
+  project: 'LATTE_PROJECT',
+  testFile: 'LATTE_TEST_FILE'
+};
+
+/**
+ * Read the runtime options set by the CLI
+ * @param {Object} env - Environment to read from
+ * @returns {{grep: string|null, artifactsDir: string|null, retries: number|null, config: string|null, profile: string|null, headed: boolean, harMode: string|null, harDir: string|null, updateSnapshots: boolean, project: string|null, testFile: string|null}}
+ */
+export function readRuntimeOptions(env = process.env) {
+  return {
+    grep: env[RUNTIME_ENV.grep] || null,
+    artifactsDir: env[RUNTIME_ENV.artifactsDir] || null,
+    retries: env[RUNTIME_ENV.retries] ? Number.parseInt(env[RUNTIME_ENV.retries], 10) : null,
+    config: env[RUNTIME_ENV.config] || null,
+    profile: env[RUNTIME_ENV.profile] || null,
+    headed: env[RUNTIME_ENV.headed] === 'true',
+    harMode: env[RUNTIME_ENV.harMode] || null,
+    harDir: env[RUNTIME_ENV.harDir] || null,
+    updateSnapshots: env[RUNTIME_ENV.updateSnapshots] === 'true',
+    project: env[RUNTIME_ENV.project] || null,
+    testFile: env[RUNTIME_ENV.testFile] || null
+  };
+}
+
+/**
+ * Build the environment variables for a test process
+ * @param {Object} options - Runtime options (same shape as readRuntimeOptions returns)
+ * @returns {Object} - Environment variables to add to the child's env
+ */
+export function toRuntimeEnv(options = {}) {
+  const env = {};
+  for (const [key, name] of Object.entries(RUNTIME_ENV)) {
+    if (options[key] !== undefined && options[key] !== null && options[key] !== false) {
+      env[name] = String(options[key]);
+    }
+  }
+  return env;
+}
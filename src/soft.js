@@ -0,0 +1,151 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { errorMessage } from './errors.js';
+
+/**
+ * Soft assertions - record a failure and let the test flow continue
+ *
+ *   expect.soft(total).toBe(42);
+ *   await app.soft.see('Free shipping');
+ *
+ * The runner gives every test attempt its own collector through
+ * AsyncLocalStorage, so parallel hooks or timers can't mix up tests.
+ * At the end the test fails with every recorded message.
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * SoftAssertions - Failures recorded during one test attempt
+ */
+export class SoftAssertions {
+  /**
+   * @param {import('./browser-app.js').BrowserApp} [app] - App to screenshot when an assertion fails
+   */
+  constructor(app = null) {
+    this.app = app;
+    this.failures = [];
+    this.pending = [];
+  }
+
+  /**
+   * Run fn with this collector active for soft assertions
+   * @param {Function} fn
+   */
+  run(fn) {
+    return storage.run(this, fn);
+  }
+
+  /**
+   * Record a failed assertion and screenshot the page as it is now
+   * @param {Error} error
+   */
+  record(error) {
+    const failure = { message: errorMessage(error), screenshot: null, image: null };
+    this.failures.push(failure);
+
+    if (this.app) {
+      this.app.log(`⚠️  Soft assertion failed, continuing: ${failure.message.split('\n')[0]}`);
+    }
+    if (this.app && this.app.page) {
+      const capture = this.app.page.screenshot({ fullPage: true })
+        .then(image => { failure.image = image; })
+        .catch(() => {
+          // The page closed or is navigating, keep the message without a screenshot
+        });
+      this.pending.push(capture);
+      return capture;
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Wait for screenshots of assertions the test didn't await
+   */
+  async settle() {
+    await Promise.all(this.pending);
+  }
+
+  /**
+   * Write the screenshots as soft-1.png, soft-2.png...
+   * @param {string} folder - Artifacts folder of the test
+   */
+  async saveScreenshots(folder) {
+    const withImages = this.failures.filter(failure => failure.image);
+    if (withImages.length === 0) return;
+
+    await mkdir(folder, { recursive: true });
+    for (const [index, failure] of this.failures.entries()) {
+      if (!failure.image) continue;
+      failure.screenshot = join(folder, `soft-${index + 1}.png`);
+      await writeFile(failure.screenshot, failure.image);
+      failure.image = null;
+    }
+  }
+
+  /**
+   * One error with every recorded failure, and the error that stopped the test if any
+   * @param {Error|null} testError - Error that stopped the test
+   * @returns {Error}
+   */
+  toError(testError) {
+    const lines = this.failures.map((failure, index) => {
+      const message = failure.message.split('\n').join('\n     ');
+      const screenshot = failure.screenshot ? `\n     📸 ${failure.screenshot}` : '';
+      return `  ${index + 1}. ${message}${screenshot}`;
+    });
+
+    const count = this.failures.length;
+    let summary = `${count} soft assertion${count === 1 ? '' : 's'} failed`;
+    if (testError) {
+      lines.push(`  ${count + 1}. ${errorMessage(testError).split('\n').join('\n     ')}`);
+      summary += ', then the test stopped';
+    }
+    return new Error(`${summary}:\n${lines.join('\n')}`);
+  }
+}
+
+/**
+ * Collector of the test running in this async context
+ * @returns {SoftAssertions|null}
+ */
+export function currentSoftAssertions() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Wrap an object so its failing methods record a soft failure instead of throwing
+ * Outside a running test there is nothing to record into, so failures throw as usual.
+ * @param {Object} target - Expectation, app...
+ * @param {Object} [options]
+ * @param {Function} [options.wrap] - (methodName) => whether failures of this method are soft
+ * @param {string[]} [options.nested] - Properties returning more matchers (not, resolves...)
+ * @returns {Object}
+ */
+export function softly(target, { wrap = () => true, nested = [] } = {}) {
+  return new Proxy(target, {
+    get(object, name) {
+      const value = object[name];
+      if (nested.includes(name)) return softly(value, { wrap, nested });
+      if (typeof value !== 'function') return value;
+      if (!wrap(name)) return value.bind(object);
+
+      return (...args) => {
+        const collector = currentSoftAssertions();
+        if (!collector) return value.apply(object, args);
+
+        let result;
+        try {
+          result = value.apply(object, args);
+        } catch (error) {
+          return collector.record(error);
+        }
+        if (result && typeof result.then === 'function') {
+          return result.catch(error => collector.record(error));
+        }
+        return result;
+      };
+    }
+  });
+}
@@ -0,0 +1,165 @@
+/**
+ * Visual comparison - pixel diff of two screenshots
+ *
+ * Colours are compared in the YIQ colour space, which follows how
+ * different two colours look rather than how far apart their RGB
+ * values are. Pixels that only differ by anti-aliasing (font smoothing,
+ * edges of rounded corners) are detected and not counted.
+ */
+
+// Largest possible YIQ distance between two colours
+const MAX_DELTA = 35215;
+
+/**
+ * Compare two images of the same size
+ * @param {{width: number, height: number, data: Uint8Array}} expected - Baseline
+ * @param {{width: number, height: number, data: Uint8Array}} actual - New screenshot
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - How different a pixel's colour may be, 0 (exact) to 1 (anything), default 0.1
+ * @param {boolean} [options.antialiasing] - Ignore anti-aliased pixels (default true)
+ * @returns {{diffPixels: number, totalPixels: number, sameSize: boolean, diff: {width: number, height: number, data: Uint8Array}}}
+ *   diff shows differences in red, ignored anti-aliasing in yellow and the baseline faded
+ */
+export function compareImages(expected, actual, { threshold = 0.1, antialiasing = true } = {}) {
+  const width = Math.max(expected.width, actual.width);
+  const height = Math.max(expected.height, actual.height);
+  const diff = { width, height, data: new Uint8Array(width * height * 4) };
+  const sameSize = expected.width === actual.width && expected.height === actual.height;
+  const maxDelta = MAX_DELTA * threshold * threshold;
+  let diffPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const target = (y * width + x) * 4;
+
+      // Outside one of the images: the size changed
+      if (x >= expected.width || y >= expected.height || x >= actual.width || y >= actual.height) {
+        diffPixels++;
+        paint(diff.data, target, [255, 0, 0]);
+        continue;
+      }
+
+      const expectedIndex = (y * expected.width + x) * 4;
+      const actualIndex = (y * actual.width + x) * 4;
+      const delta = colorDelta(expected.data, expectedIndex, actual.data, actualIndex);
+
+      if (delta <= maxDelta) {
+        const grey = 255 - 0.1 * (255 - brightness(expected.data, expectedIndex));
+        paint(diff.data, target, [grey, grey, grey]);
+      } else if (antialiasing && (isAntialiased(expected, x, y, actual) || isAntialiased(actual, x, y, expected))) {
+        paint(diff.data, target, [255, 255, 0]);
+      } else {
+        diffPixels++;
+        paint(diff.data, target, [255, 0, 0]);
+      }
+    }
+  }
+
+  return { diffPixels, totalPixels: width * height, sameSize, diff };
+}
+
+function paint(data, index, [red, green, blue]) {
+  data[index] = red;
+  data[index + 1] = green;
+  data[index + 2] = blue;
+  data[index + 3] = 255;
+}
+
+/**
+ * Colour of a pixel blended on white, so transparent pixels compare as they are shown
+ */
+function blended(data, index) {
+  const alpha = data[index + 3] / 255;
+  return [
+    255 + (data[index] - 255) * alpha,
+    255 + (data[index + 1] - 255) * alpha,
+    255 + (data[index + 2] - 255) * alpha
+  ];
+}
+
+function brightness(data, index) {
+  const [red, green, blue] = blended(data, index);
+  return red * 0.29889531 + green * 0.58662247 + blue * 0.11448223;
+}
+
+/**
+ * Perceived difference between two pixels
+ * With brightnessOnly, the signed brightness difference (positive when the first pixel is brighter)
+ */
+function colorDelta(dataA, indexA, dataB, indexB, brightnessOnly = false) {
+  const [r1, g1, b1] = blended(dataA, indexA);
+  const [r2, g2, b2] = blended(dataB, indexB);
+  if (r1 === r2 && g1 === g2 && b1 === b2) return 0;
+
+  const y1 = r1 * 0.29889531 + g1 * 0.58662247 + b1 * 0.11448223;
+  const y2 = r2 * 0.29889531 + g2 * 0.58662247 + b2 * 0.11448223;
+  const y = y1 - y2;
+  if (brightnessOnly) return y;
+
+  const i = (r1 * 0.59597799 - g1 * 0.27417610 - b1 * 0.32180189) - (r2 * 0.59597799 - g2 * 0.27417610 - b2 * 0.32180189);
+  const q = (r1 * 0.21147017 - g1 * 0.52261711 + b1 * 0.31114694) - (r2 * 0.21147017 - g2 * 0.52261711 + b2 * 0.31114694);
+  return 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+}
+
+/**
+ * An anti-aliased pixel sits between a darker and a brighter neighbour,
+ * and those neighbours belong to flat areas (lines, glyphs) in both images
+ */
+function isAntialiased(image, x, y, other) {
+  const index = (y * image.width + x) * 4;
+  let equalNeighbours = 0;
+  let brighterDelta = 0;
+  let darkerDelta = 0;
+  let brighterAt = null;
+  let darkerAt = null;
+
+  for (let ny = Math.max(y - 1, 0); ny <= Math.min(y + 1, image.height - 1); ny++) {
+    for (let nx = Math.max(x - 1, 0); nx <= Math.min(x + 1, image.width - 1); nx++) {
+      if (nx === x && ny === y) continue;
+
+      const delta = colorDelta(image.data, index, image.data, (ny * image.width + nx) * 4, true);
+      if (delta === 0) {
+        equalNeighbours++;
+        // Part of a flat area, not an edge
+        if (equalNeighbours > 2) return false;
+      } else if (delta < brighterDelta) {
+        // The neighbour is brighter
+        brighterDelta = delta;
+        brighterAt = [nx, ny];
+      } else if (delta > darkerDelta) {
+        darkerDelta = delta;
+        darkerAt = [nx, ny];
+      }
+    }
+  }
+
+  if (!brighterAt || !darkerAt) return false;
+
+  return (hasManySiblings(image, ...darkerAt) && hasManySiblings(other, ...darkerAt)) ||
+    (hasManySiblings(image, ...brighterAt) && hasManySiblings(other, ...brighterAt));
+}
+
+/**
+ * At least 3 neighbours have exactly the same colour
+ */
+function hasManySiblings(image, x, y) {
+  if (x >= image.width || y >= image.height) return false;
+  const index = (y * image.width + x) * 4;
+  // Pixels on the image border have fewer neighbours
+  let siblings = x === 0 || x === image.width - 1 || y === 0 || y === image.height - 1 ? 1 : 0;
+
+  for (let ny = Math.max(y - 1, 0); ny <= Math.min(y + 1, image.height - 1); ny++) {
+    for (let nx = Math.max(x - 1, 0); nx <= Math.min(x + 1, image.width - 1); nx++) {
+      if (nx === x && ny === y) continue;
+      const other = (ny * image.width + nx) * 4;
+      if (image.data[index] === image.data[other] &&
+        image.data[index + 1] === image.data[other + 1] &&
+        image.data[index + 2] === image.data[other + 2] &&
+        image.data[index + 3] === image.data[other + 3]) {
+        siblings++;
+      }
+      if (siblings > 2) return true;
+    }
+  }
+  return false;
+}
@@ -0,0 +1,20 @@
+/**
+ * Waiting helpers shared by network and page assertions
+ */
+
+/**
+ * Poll a function until it returns a truthy value
+ * @param {Function} check - Called every interval, may be async
+ * @param {number} timeout - Give up after this many milliseconds
+ * @param {number} [interval] - Milliseconds between checks
+ * @returns {Promise<*>} - The truthy value, or undefined on timeout
+ */
+export async function poll(check, timeout, interval = 50) {
+  const deadline = Date.now() + timeout;
+
+  while (true) {
+    const value = await check();
+    if (value || Date.now() >= deadline) return value || undefined;
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
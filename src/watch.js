@@ -0,0 +1,446 @@
+import { readFile, readdir, stat } from 'node:fs/promises';
+import { existsSync, statSync, watch } from 'node:fs';
+import { dirname, extname, join, resolve } from 'node:path';
+
+/**
+ * Watch mode for the Latte CLI
+ *
+ * Keeps the discovered test files in memory, re-runs only the test files
+ * affected by a change, and reads single-key commands from the terminal.
+ */
+
+const IMPORT_PATTERNS = [
+  /\bimport\s+(?:[^'"`;]*?\s+from\s+)?['"]([^'"]+)['"]/g, // import x from './x' / import './x'
+  /\bexport\s+[^'"`;]*?\s+from\s+['"]([^'"]+)['"]/g,       // export { x } from './x'
+  /\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)/g,                 // await import('./x')
+  /\brequire\s*\(\s*['"]([^'"]+)['"]\s*\)/g                 // require('./x')
+];
+
+const RESOLVE_EXTENSIONS = ['.js', '.ts', '.tsx', '.jsx', '.mjs', '.cjs', '.mts', '.cts', '.json'];
+
+const IGNORED_FOLDERS = new Set(['node_modules', '.git']);
+
+/**
+ * DependencyGraph - Which local files each test file imports, directly or not
+ */
+export class DependencyGraph {
+  constructor() {
+    this.dependencies = new Map();
+  }
+
+  /**
+   * Parse the imports of every test file and of the local files they import
+   * @param {string[]} testFiles - Absolute paths of the test files
+   */
+  async build(testFiles) {
+    this.dependencies.clear();
+    for (const file of testFiles) {
+      await this.visit(file);
+    }
+  }
+
+  async visit(file) {
+    if (this.dependencies.has(file)) return;
+
+    const imports = new Set();
+    this.dependencies.set(file, imports);
+
+    let source;
+    try {
+      source = await readFile(file, 'utf8');
+    } catch (error) {
+      return;
+    }
+
+    for (const pattern of IMPORT_PATTERNS) {
+      for (const match of source.matchAll(pattern)) {
+        const dependency = this.resolveImport(file, match[1]);
+        if (dependency) {
+          imports.add(dependency);
+          await this.visit(dependency);
+        }
+      }
+    }
+  }
+
+  /**
+   * Resolve a relative import to a file on disk (packages are ignored)
+   * @param {string} fromFile - File containing the import
+   * @param {string} specifier - Imported path, e.g. "./helpers/login"
+   * @returns {string|null} - Absolute path, null for packages or missing files
+   */
+  resolveImport(fromFile, specifier) {
+    if (!specifier.startsWith('.')) return null;
+
+    const base = resolve(dirname(fromFile), specifier);
+    // TypeScript projects import "./x.js" for a "./x.ts" source file
+    const withoutExtension = base.slice(0, base.length - extname(base).length);
+    const candidates = [
+      base,
+      ...RESOLVE_EXTENSIONS.map(extension => base + extension),
+      ...RESOLVE_EXTENSIONS.map(extension => withoutExtension + extension),
+      ...RESOLVE_EXTENSIONS.map(extension => join(base, `index${extension}`))
+    ];
+
+    for (const candidate of candidates) {
+      if (existsSync(candidate) && statSync(candidate).isFile()) return candidate;
+    }
+    return null;
+  }
+
+  /**
+   * Test files that import one of the changed files, directly or through helpers
+   * @param {string[]} changedFiles - Absolute paths of changed files
+   * @param {string[]} testFiles - Absolute paths of all test files
+   * @returns {string[]}
+   */
+  affectedTests(changedFiles, testFiles) {
+    const changed = new Set(changedFiles);
+
+    return testFiles.filter(testFile => {
+      const seen = new Set();
+      const stack = [testFile];
+      while (stack.length > 0) {
+        const file = stack.pop();
+        if (seen.has(file)) continue;
+        seen.add(file);
+        if (changed.has(file)) return true;
+        stack.push(...(this.dependencies.get(file) || []));
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Whether a file is a test file or one of their dependencies
+   */
+  has(file) {
+    return this.dependencies.has(file);
+  }
+}
+
+/**
+ * WatchMode - Re-run affected test files on change, driven by single keys
+ */
+export class WatchMode {
+  /**
+   * @param {Object} cli - The LatteCLI instance (discovery, running and summary)
+   * @param {Object} options
+   * @param {number} options.workers - Maximum number of files running at the same time
+   * @param {string} [options.filter] - Initial file name filter (--filter)
+   */
+  constructor(cli, { workers, filter = null }) {
+    this.cli = cli;
+    this.workers = workers;
+    this.fileFilter = filter || null;
+    this.grep = cli.runtimeOptions.grep || null;
+    this.graph = new DependencyGraph();
+    this.failedTests = new Map();
+    this.changedFiles = new Set();
+    this.watchers = [];
+    this.teardowns = [];
+    this.running = false;
+    this.queued = null;
+    this.lastRun = null;
+    this.prompt = null;
+    this.debounceTimer = null;
+  }
+
+  async start() {
+    this.teardowns = await this.cli.runGlobalSetup();
+    await this.refresh();
+    this.watchFiles(this.cli.config.rootDir);
+    this.listenToKeys();
+
+    await this.runFiles(this.selectedFiles(), { grep: this.grep, reason: 'Running all test files' });
+  }
+
+  /**
+   * Re-discover test files and rebuild the dependency graph
+   */
+  async refresh() {
+    await this.cli.discoverTests();
+    await this.graph.build(this.cli.testFiles);
+  }
+
+  /**
+   * Test files matching the current file filter
+   */
+  selectedFiles() {
+    if (!this.fileFilter) return this.cli.testFiles;
+    const pattern = this.fileFilter.toLowerCase();
+    return this.cli.testFiles.filter(file => this.cli.displayPath(file).toLowerCase().includes(pattern));
+  }
+
+  /**
+   * Run test files, or queue the run if one is in progress
+   * @param {string[]} files - Test files to run
+   * @param {Object} options
+   * @param {string|null} options.grep - Test name filter for this run
+   * @param {string} options.reason - Shown above the run
+   */
+  async runFiles(files, { grep, reason }) {
+    if (this.running) {
+      this.queued = { files, grep, reason };
+      return;
+    }
+
+    this.running = true;
+    this.lastRun = { files, grep, reason };
+
+    try {
+      if (files.length === 0) {
+        console.log(`\n${reason}: no matching test files`);
+      } else {
+        console.log(`\n☕ ${reason} (${files.length} file${files.length === 1 ? '' : 's'})\n`);
+        this.cli.resetResults();
+        this.cli.runtimeOptions.grep = grep;
+        await this.cli.runTestFiles(files, this.workers);
+        await this.cli.printSummary();
+        this.rememberFailures();
+      }
+    } catch (error) {
+      console.error(`❌ Error running tests: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+
+    if (this.queued) {
+      const next = this.queued;
+      this.queued = null;
+      await this.runFiles(next.files, next);
+    } else {
+      this.printUsage();
+    }
+  }
+
+  /**
+   * Track failed tests per file for "run failed"
+   * Tests that did not run (filtered out) keep their previous state.
+   */
+  rememberFailures() {
+    const files = new Set(this.cli.fileResults.map(fileResult => fileResult.file));
+
+    for (const file of files) {
+      // With projects a file ran several times: a test failing in any of them has to run again
+      const tests = this.cli.fileResults.filter(fileResult => fileResult.file === file).flatMap(fileResult => fileResult.tests);
+      const failed = new Set(this.failedTests.get(file));
+      // A crashed file (no fullTitle) has to run again as a whole
+      failed.delete(null);
+      for (const test of tests.filter(test => test.status !== 'failed')) {
+        failed.delete(test.fullTitle);
+      }
+      for (const test of tests.filter(test => test.status === 'failed')) {
+        failed.add(test.fullTitle ?? null);
+      }
+
+      if (failed.size > 0) {
+        this.failedTests.set(file, failed);
+      } else {
+        this.failedTests.delete(file);
+      }
+    }
+  }
+
+  async runFailed() {
+    if (this.failedTests.size === 0) {
+      console.log('\nNo failed tests to re-run');
+      this.printUsage();
+      return;
+    }
+
+    const titles = [...this.failedTests.values()].flatMap(failed => [...failed]);
+    // A crashed file has no test titles to filter on, so run it without a filter
+    const grep = titles.includes(null) ? null : `^(?:${titles.map(escapeRegExp).join('|')})$`;
+    await this.runFiles([...this.failedTests.keys()], { grep, reason: 'Re-running failed tests' });
+  }
+
+  /**
+   * Watch the project folder, with a per-folder fallback where recursive watching is unsupported
+   * @param {string} rootDir - Project root
+   */
+  watchFiles(rootDir) {
+    const onChange = (folder, fileName) => {
+      if (!fileName) return;
+      const file = resolve(folder, fileName.toString());
+      if (file.split(/[/\\]/).some(part => IGNORED_FOLDERS.has(part))) return;
+      this.changedFiles.add(file);
+
+      // Editors write files in several steps, wait for them to settle
+      clearTimeout(this.debounceTimer);
+      this.debounceTimer = setTimeout(() => this.onFilesChanged(), 150);
+    };
+
+    try {
+      this.watchers.push(watch(rootDir, { recursive: true }, (event, fileName) => onChange(rootDir, fileName)));
+    } catch (error) {
+      // Recursive watching is not available on Linux before Node.js 20
+      this.watchFolders(rootDir, onChange).catch(error => {
+        console.error(`❌ Error watching files: ${error.message}`);
+      });
+    }
+  }
+
+  async watchFolders(dir, onChange) {
+    this.watchers.push(watch(dir, (event, fileName) => onChange(dir, fileName)));
+
+    for (const entry of await readdir(dir)) {
+      if (entry.startsWith('.') || IGNORED_FOLDERS.has(entry)) continue;
+      const fullPath = join(dir, entry);
+      if ((await stat(fullPath)).isDirectory()) {
+        await this.watchFolders(fullPath, onChange);
+      }
+    }
+  }
+
+  async onFilesChanged() {
+    const changed = [...this.changedFiles];
+    this.changedFiles.clear();
+
+    // Runs from a timer: an error here (e.g. a file deleted during discovery) must not end watch mode
+    try {
+      // New or renamed test files need a new discovery
+      const knownTests = new Set(this.cli.testFiles);
+      const newTests = changed.filter(file => !knownTests.has(file) && existsSync(file) && this.cli.isTestFile(file));
+      const relevant = changed.filter(file => this.graph.has(file) || newTests.includes(file));
+      if (relevant.length === 0) return;
+
+      await this.refresh();
+
+      const selected = new Set(this.selectedFiles());
+      const affected = this.graph.affectedTests(relevant, this.cli.testFiles).filter(file => selected.has(file));
+      const names = relevant.map(file => this.cli.displayPath(file)).join(', ');
+
+      await this.runFiles(affected, { grep: this.grep, reason: `Changed: ${names}` });
+    } catch (error) {
+      console.error(`❌ Error running tests: ${error.message}`);
+      this.printUsage();
+    }
+  }
+
+  /**
+   * Single-key commands (only when attached to a terminal)
+   */
+  listenToKeys() {
+    if (!process.stdin.isTTY) return;
+
+    process.stdin.setRawMode(true);
+    process.stdin.setEncoding('utf8');
+    // Pasted text and fast typing arrive as one chunk
+    process.stdin.on('data', chunk => {
+      for (const key of chunk) {
+        this.onKey(key).catch(error => console.error(`❌ Error running tests: ${error.message}`));
+      }
+    });
+  }
+
+  async onKey(key) {
+    if (key === '\u0003') return this.quit(); // Ctrl+C
+
+    if (this.prompt) {
+      return this.onPromptKey(key);
+    }
+
+    switch (key) {
+      case 'a':
+        await this.runFiles(this.selectedFiles(), { grep: this.grep, reason: 'Running all test files' });
+        break;
+      case 'f':
+        await this.runFailed();
+        break;
+      case 'p':
+        this.ask('File name pattern (empty to clear): ', value => {
+          this.fileFilter = value || null;
+          return this.runFiles(this.selectedFiles(), { grep: this.grep, reason: value ? `Files matching "${value}"` : 'Running all test files' });
+        });
+        break;
+      case 't':
+        this.ask('Test name regex (empty to clear): ', value => {
+          try {
+            this.grep = this.cli.parseGrep(value);
+          } catch (error) {
+            console.log(`\n${error.message}`);
+            this.printUsage();
+            return;
+          }
+          return this.runFiles(this.selectedFiles(), { grep: this.grep, reason: value ? `Tests matching /${value}/` : 'Running all test files' });
+        });
+        break;
+      case 'h':
+        this.cli.runtimeOptions.headed = !this.cli.runtimeOptions.headed;
+        console.log(`\nHeaded mode ${this.cli.runtimeOptions.headed ? 'on: browsers will be visible' : 'off'} for the next runs`);
+        this.printUsage();
+        break;
+      case '\r':
+      case '\n':
+        if (this.lastRun) await this.runFiles(this.lastRun.files, this.lastRun);
+        break;
+      case 'q':
+        await this.quit();
+        break;
+    }
+  }
+
+  /**
+   * Read a line of input while the terminal is in raw mode
+   * @param {string} question - Prompt text
+   * @param {Function} onAnswer - Called with the trimmed answer
+   */
+  ask(question, onAnswer) {
+    this.prompt = { value: '', onAnswer };
+    process.stdout.write(`\n${question}`);
+  }
+
+  onPromptKey(key) {
+    if (key === '\r' || key === '\n') {
+      const { value, onAnswer } = this.prompt;
+      this.prompt = null;
+      process.stdout.write('\n');
+      return onAnswer(value.trim());
+    } else if (key === '\u001b') { // Escape
+      this.prompt = null;
+      process.stdout.write('\n');
+      this.printUsage();
+    } else if (key === '\u007f' || key === '\b') { // Backspace
+      if (this.prompt.value.length > 0) {
+        this.prompt.value = this.prompt.value.slice(0, -1);
+        process.stdout.write('\b \b');
+      }
+    } else {
+      this.prompt.value += key;
+      process.stdout.write(key);
+    }
+  }
+
+  printUsage() {
+    const filters = [
+      this.fileFilter ? `files: "${this.fileFilter}"` : null,
+      this.grep ? `tests: /${this.grep}/` : null,
+      this.cli.runtimeOptions.headed ? 'headed' : null
+    ].filter(Boolean);
+
+    console.log(`\n👀 Watching for changes${filters.length > 0 ? ` (${filters.join(', ')})` : ''}`);
+    if (process.stdin.isTTY) {
+      console.log('   a run all · f run failed · p filter files · t filter tests · h toggle headed · Enter re-run · q quit');
+    }
+  }
+
+  async quit() {
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    clearTimeout(this.debounceTimer);
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(false);
+    }
+
+    for (const teardown of this.teardowns.reverse()) {
+      await teardown(this.cli.config);
+    }
+    process.exit(0);
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
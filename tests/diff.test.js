@@ -0,0 +1,82 @@
+import { latte, group, expect } from '../src/index.js';
+import { diff, format, formatShort, stripColors } from '../src/diff.js';
+import { errorMessage } from '../src/errors.js';
+
+group('format', () => {
+  latte('prints objects one sorted property per line', async () => {
+    expect(format({ b: 2, a: 'x', 'data-id': null })).toBe('{\n  a: "x",\n  b: 2,\n  "data-id": null,\n}');
+  });
+
+  latte('prints special values', async () => {
+    expect(format(-0)).toBe('-0');
+    expect(format(10n)).toBe('10n');
+    expect(format(undefined)).toBe('undefined');
+    expect(format(new Date('2024-05-01T10:00:00Z'))).toBe('Date(2024-05-01T10:00:00.000Z)');
+    expect(format(new Date('nope'))).toBe('Invalid Date');
+    expect(format(/total/gi)).toBe('/total/gi');
+    expect(format(new TypeError('bad'))).toBe('[TypeError: bad]');
+    expect(format(function checkout() {})).toBe('[Function checkout]');
+  });
+
+  latte('prints Maps, Sets and class names', async () => {
+    expect(format(new Map([['a', 1]]))).toBe('Map {\n  "a" => 1,\n}');
+    expect(format(new Set())).toBe('Set {}');
+    class Cart {}
+    expect(format(new Cart())).toBe('Cart {}');
+  });
+
+  latte('marks circular references', async () => {
+    const node = { name: 'root' };
+    node.parent = node;
+    expect(format(node)).toContain('parent: [Circular]');
+  });
+
+  latte('formatShort keeps short values on one line', async () => {
+    expect(formatShort({ a: 1, b: [1, 2] })).toBe('{ a: 1, b: [ 1, 2 ] }');
+    expect(formatShort({ text: 'x'.repeat(100) })).toContain('\n');
+  });
+});
+
+group('diff', () => {
+  latte('is null when both values print the same', async () => {
+    expect(diff({ a: 1 }, { a: 1 })).toBeNull();
+    // Different values can print the same; there is nothing to show then
+    expect(diff(new Set([{}]), new Set([{}]))).toBeNull();
+  });
+
+  latte('marks expected lines with - and received lines with +', async () => {
+    const lines = stripColors(diff(['tea', 'cake'], ['tea', 'scones'])).split('\n');
+    expect(lines).toEqual([
+      '- Expected',
+      '+ Received',
+      '',
+      '  [',
+      '    "tea",',
+      '-   "cake",',
+      '+   "scones",',
+      '  ]'
+    ]);
+  });
+
+  latte('collapses unchanged lines far from a change', async () => {
+    const expected = Object.fromEntries(Array.from({ length: 20 }, (_, index) => [`key${String(index).padStart(2, '0')}`, index]));
+    const text = stripColors(diff(expected, { ...expected, key19: 'changed' }));
+    expect(text).toContain('  ...');
+    expect(text).not.toContain('key05');
+    expect(text).toContain('  key16: 16,');
+    expect(text).toContain('-   key19: 19,');
+    expect(text).toContain('+   key19: "changed",');
+  });
+});
+
+group('helpers', () => {
+  latte('stripColors removes ANSI colours', async () => {
+    expect(stripColors('\x1b[32m- Expected\x1b[39m')).toBe('- Expected');
+  });
+
+  latte('errorMessage reads any thrown value', async () => {
+    expect(errorMessage(new Error('boom'))).toBe('boom');
+    expect(errorMessage('plain string')).toBe('plain string');
+    expect(errorMessage(undefined)).toBe('undefined');
+  });
+});
@@ -0,0 +1,151 @@
+import { latte, group } from '../src/index.js';
+import { expect, equals } from '../src/expect.js';
+import { stripColors } from '../src/diff.js';
+
+/**
+ * Message of the assertion error fn throws, without colours
+ */
+function failureOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return stripColors(error.message);
+  }
+  throw new Error('Expected the assertion to fail');
+}
+
+group('equals', () => {
+  latte('compares Dates by time', async () => {
+    expect(equals(new Date('2024-01-01'), new Date('2024-01-01T00:00:00Z'))).toBe(true);
+    expect(equals(new Date('2024-01-01'), new Date('2024-01-02'))).toBe(false);
+    expect(equals(new Date('invalid'), new Date('invalid'))).toBe(true);
+    expect(equals(new Date(0), 0)).toBe(false);
+  });
+
+  latte('compares Maps by entries, in any order', async () => {
+    expect(equals(new Map([['a', 1], ['b', 2]]), new Map([['b', 2], ['a', 1]]))).toBe(true);
+    expect(equals(new Map([['a', 1]]), new Map([['a', 2]]))).toBe(false);
+    expect(equals(new Map([[{ id: 1 }, 'x']]), new Map([[{ id: 1 }, 'x']]))).toBe(true);
+    expect(equals(new Map([['a', 1]]), new Map([['a', 1], ['b', 2]]))).toBe(false);
+  });
+
+  latte('compares Sets by items, including objects', async () => {
+    expect(equals(new Set([1, 2, 3]), new Set([3, 2, 1]))).toBe(true);
+    expect(equals(new Set([{ id: 1 }]), new Set([{ id: 1 }]))).toBe(true);
+    expect(equals(new Set([1, 2]), new Set([1, 3]))).toBe(false);
+  });
+
+  latte('does not mix up types with the same keys', async () => {
+    expect(equals([1, 2], { 0: 1, 1: 2 })).toBe(false);
+    expect(equals(new Set(), new Map())).toBe(false);
+    expect(equals(/a/g, /a/g)).toBe(true);
+    expect(equals(/a/g, /a/i)).toBe(false);
+    expect(equals(NaN, NaN)).toBe(true);
+  });
+
+  latte('handles circular structures', async () => {
+    const a = { name: 'a' };
+    a.self = a;
+    const b = { name: 'a' };
+    b.self = b;
+    expect(equals(a, b)).toBe(true);
+  });
+});
+
+group('asymmetric matchers', () => {
+  latte('any matches primitives and instances', async () => {
+    expect({ id: 7, name: 'Mia', at: new Date() }).toEqual({ id: expect.any(Number), name: expect.any(String), at: expect.any(Date) });
+    expect(failureOf(() => expect({ id: '7' }).toEqual({ id: expect.any(Number) }))).toContain('Any<Number>');
+    expect(() => expect.any('Number')).toThrow('needs a class');
+  });
+
+  latte('anything rejects only null and undefined', async () => {
+    expect({ value: 0 }).toEqual({ value: expect.anything() });
+    expect({ value: null }).not.toEqual({ value: expect.anything() });
+  });
+
+  latte('string matchers', async () => {
+    expect({ message: 'Order #123 placed' }).toEqual({ message: expect.stringContaining('#123') });
+    expect({ message: 'Order #123 placed' }).toEqual({ message: expect.stringMatching(/#\d+/) });
+    expect({ message: 123 }).not.toEqual({ message: expect.stringContaining('12') });
+  });
+
+  latte('object and array containing', async () => {
+    expect({ user: { id: 1, name: 'Mia', role: 'admin' } }).toEqual({ user: expect.objectContaining({ role: 'admin' }) });
+    expect(['a', 'b', 'c']).toEqual(expect.arrayContaining(['c', 'a']));
+    expect(['a', 'b']).not.toEqual(expect.arrayContaining(['d']));
+  });
+
+  latte('a /g pattern gives the same answer every time', async () => {
+    const matcher = expect.stringMatching(/b/g);
+    expect([matcher.asymmetricMatch('abc'), matcher.asymmetricMatch('abc'), matcher.asymmetricMatch('abc')]).toEqual([true, true, true]);
+  });
+});
+
+group('matchers', () => {
+  latte('toBe tells -0 from 0', async () => {
+    expect(NaN).toBe(NaN);
+    expect(failureOf(() => expect(0).toBe(-0))).toContain('-0');
+  });
+
+  latte('toEqual shows a diff of the properties that differ', async () => {
+    const expected = { customer: 'Mia Jensen', currency: 'EUR', total: 11, items: ['tea', 'scones'] };
+    const message = failureOf(() => expect({ ...expected, total: 12 }).toEqual(expected));
+    expect(message).toContain('- Expected');
+    expect(message).toContain('-   total: 11,');
+    expect(message).toContain('+   total: 12,');
+    expect(message).not.toContain('+   currency');
+  });
+
+  latte('toMatchObject ignores extra properties', async () => {
+    expect({ id: 1, name: 'Mia', tags: ['a'] }).toMatchObject({ name: 'Mia' });
+    expect([{ id: 1, x: 1 }, { id: 2, x: 2 }]).toMatchObject([{ id: 1 }, { id: 2 }]);
+    expect({ id: 1 }).not.toMatchObject({ id: 1, name: 'Mia' });
+  });
+
+  latte('toThrow checks message, RegExp and class', async () => {
+    const fail = () => { throw new TypeError('price is missing'); };
+    expect(fail).toThrow();
+    expect(fail).toThrow('missing');
+    expect(fail).toThrow(/price/);
+    expect(fail).toThrow(TypeError);
+    expect(() => {}).not.toThrow();
+    expect(() => { throw 'plain string'; }).toThrow('plain string');
+  });
+
+  latte('resolves and rejects', async () => {
+    await expect(Promise.resolve({ ok: true })).resolves.toEqual({ ok: true });
+    await expect(Promise.reject(new Error('offline'))).rejects.toThrow('offline');
+    await expect(Promise.resolve(1)).rejects.toBe(1).then(
+      () => { throw new Error('Expected the assertion to fail'); },
+      error => expect(error.message).toContain('to reject')
+    );
+  });
+
+  latte('toHaveProperty follows paths', async () => {
+    const order = { customer: { address: { city: 'Lyon' } }, lines: [{ sku: 'A1' }] };
+    expect(order).toHaveProperty('customer.address.city', 'Lyon');
+    expect(order).toHaveProperty(['lines', '0', 'sku'], 'A1');
+    expect(order).not.toHaveProperty('customer.phone');
+  });
+
+  latte('extend adds matchers that work with not', async () => {
+    expect.extend({
+      toBeEven(received) {
+        return { pass: received % 2 === 0, message: () => `Expected ${this.format(received)}${this.isNot ? ' not' : ''} to be even` };
+      }
+    });
+    expect(4).toBeEven();
+    expect(3).not.toBeEven();
+    expect(failureOf(() => expect(3).toBeEven())).toBe('Expected 3 to be even');
+  });
+
+  latte('extend refuses to replace built-in matchers and helpers', async () => {
+    for (const name of ['toBe', 'checkCustom', 'formatValue', 'not', 'actual']) {
+      expect(() => expect.extend({ [name]: () => ({ pass: true }) })).toThrow(`${name} already exists`);
+    }
+    expect(1).toBe(1);
+    expect.extend({ toBeEven: received => ({ pass: received % 2 === 0, message: () => 'odd' }) });
+    expect(2).toBeEven();
+  });
+});
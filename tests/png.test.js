@@ -0,0 +1,117 @@
+import { deflateSync } from 'node:zlib';
+import { latte, group, expect } from '../src/index.js';
+import { decodePng, encodePng } from '../src/png.js';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function crc32(buffer) {
+  let crc = -1;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+function chunk(type, content) {
+  const typeAndContent = Buffer.concat([Buffer.from(type, 'ascii'), content]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(content.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndContent));
+  return Buffer.concat([length, typeAndContent, crc]);
+}
+
+/**
+ * Build a PNG file the way other encoders may write it
+ * @param {Object} header - width, height, colorType, bitDepth, interlace
+ * @param {number[][]} rows - Each row starts with its filter type byte
+ * @param {Object} [extra] - PLTE / tRNS chunk contents, idatParts to split the data
+ */
+function png({ width, height, colorType, bitDepth = 8, interlace = 0 }, rows, { palette, transparency, idatParts = 1 } = {}) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = colorType;
+  header[12] = interlace;
+
+  const data = deflateSync(Buffer.from(rows.flat()));
+  const size = Math.ceil(data.length / idatParts);
+  const idat = Array.from({ length: idatParts }, (_, index) => chunk('IDAT', data.subarray(index * size, (index + 1) * size)));
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    ...(palette ? [chunk('PLTE', Buffer.from(palette))] : []),
+    ...(transparency ? [chunk('tRNS', Buffer.from(transparency))] : []),
+    ...idat,
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+const pixels = image => Array.from(image.data);
+
+group('PNG encode and decode', () => {
+  latte('round-trips RGBA pixels, transparency included', async () => {
+    const image = { width: 3, height: 2, data: new Uint8Array([
+      255, 0, 0, 255, 0, 255, 0, 128, 0, 0, 255, 0,
+      10, 20, 30, 40, 250, 251, 252, 253, 0, 0, 0, 255
+    ]) };
+    const decoded = decodePng(encodePng(image));
+    expect(decoded.width).toBe(3);
+    expect(decoded.height).toBe(2);
+    expect(pixels(decoded)).toEqual(pixels(image));
+  });
+
+  latte('reads greyscale and RGB images as opaque RGBA', async () => {
+    expect(pixels(decodePng(png({ width: 2, height: 1, colorType: 0 }, [[0, 0, 200]])))).toEqual([0, 0, 0, 255, 200, 200, 200, 255]);
+    expect(pixels(decodePng(png({ width: 1, height: 1, colorType: 2 }, [[0, 1, 2, 3]])))).toEqual([1, 2, 3, 255]);
+  });
+
+  latte('reads palette images with transparent entries', async () => {
+    const file = png({ width: 3, height: 1, colorType: 3 }, [[0, 0, 1, 2]], {
+      palette: [255, 0, 0, 0, 255, 0, 0, 0, 255],
+      transparency: [0, 128]
+    });
+    expect(pixels(decodePng(file))).toEqual([255, 0, 0, 0, 0, 255, 0, 128, 0, 0, 255, 255]);
+  });
+
+  latte('reads greyscale with alpha, and grey transparency', async () => {
+    expect(pixels(decodePng(png({ width: 1, height: 1, colorType: 4 }, [[0, 90, 30]])))).toEqual([90, 90, 90, 30]);
+    const transparentBlack = png({ width: 2, height: 1, colorType: 0 }, [[0, 0, 7]], { transparency: [0, 0] });
+    expect(pixels(decodePng(transparentBlack))).toEqual([0, 0, 0, 0, 7, 7, 7, 255]);
+  });
+
+  latte('keeps the high byte of 16-bit samples', async () => {
+    const file = png({ width: 1, height: 1, colorType: 6, bitDepth: 16 }, [[0, 0x12, 0x34, 0x56, 0x78, 0x9a, 0xbc, 0xff, 0xff]]);
+    expect(pixels(decodePng(file))).toEqual([0x12, 0x56, 0x9a, 0xff]);
+  });
+
+  latte('undoes the Sub, Up, Average and Paeth filters', async () => {
+    // 2x6 greyscale, one filter per row
+    const file = png({ width: 2, height: 6, colorType: 0 }, [
+      [0, 10, 30], // None: 10, 30
+      [1, 15, 20], // Sub: 15, 20 + 15 = 35
+      [2, 5, 5], // Up: 5 + 15 = 20, 5 + 35 = 40
+      [3, 15, 15], // Average: 15 + (0 + 20) / 2 = 25, 15 + floor((25 + 40) / 2) = 47
+      [4, 5, 5], // Paeth, both predict up: 5 + 25 = 30, 5 + 47 = 52
+      [4, 30, 1] // Paeth: up, 30 + 30 = 60, then left is closest to 60 + 52 - 30: 1 + 60 = 61
+    ]);
+    const grey = pixels(decodePng(file)).filter((_, index) => index % 4 === 0);
+    expect(grey).toEqual([10, 30, 15, 35, 20, 40, 25, 47, 30, 52, 60, 61]);
+  });
+
+  latte('joins image data split over several IDAT chunks', async () => {
+    const rows = Array.from({ length: 4 }, (_, y) => [0, ...Array.from({ length: 8 }, (_, x) => x * 30 + y)]);
+    const whole = decodePng(png({ width: 8, height: 4, colorType: 0 }, rows));
+    const split = decodePng(png({ width: 8, height: 4, colorType: 0 }, rows, { idatParts: 3 }));
+    expect(pixels(split)).toEqual(pixels(whole));
+  });
+
+  latte('rejects files it cannot read', async () => {
+    expect(() => decodePng(Buffer.from('GIF89a not a png'))).toThrow('Not a PNG image');
+    expect(() => decodePng(png({ width: 1, height: 1, colorType: 0, interlace: 1 }, [[0, 0]]))).toThrow('Interlaced');
+    expect(() => decodePng(png({ width: 1, height: 1, colorType: 0, bitDepth: 4 }, [[0, 0]]))).toThrow('Unsupported PNG format');
+  });
+});
@@ -0,0 +1,81 @@
+import { latte, group, expect } from '../src/index.js';
+import { compareImages } from '../src/visual.js';
+
+/**
+ * Image whose pixels are painted by color(x, y) => [r, g, b, a?]
+ */
+function image(width, height, color) {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [red, green, blue, alpha = 255] = color(x, y);
+      data.set([red, green, blue, alpha], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+const WHITE = [255, 255, 255];
+const pixelAt = (img, x, y) => Array.from(img.data.subarray((y * img.width + x) * 4, (y * img.width + x) * 4 + 4));
+
+// Black on the left, white on the right, a grey edge in between (font smoothing)
+const edge = grey => image(5, 5, x => (x < 2 ? [0, 0, 0] : x === 2 ? [grey, grey, grey] : WHITE));
+
+group('compareImages', () => {
+  latte('finds no difference between identical images', async () => {
+    const result = compareImages(image(4, 3, () => WHITE), image(4, 3, () => WHITE));
+    expect(result).toMatchObject({ diffPixels: 0, totalPixels: 12, sameSize: true });
+    // Unchanged pixels are drawn faded, never red
+    expect(pixelAt(result.diff, 0, 0)).toEqual([255, 255, 255, 255]);
+  });
+
+  latte('counts changed pixels and paints them red', async () => {
+    const expected = image(4, 4, () => WHITE);
+    const actual = image(4, 4, (x, y) => (x === 1 && y === 2 ? [255, 0, 0] : WHITE));
+    const result = compareImages(expected, actual);
+    expect(result.diffPixels).toBe(1);
+    expect(pixelAt(result.diff, 1, 2)).toEqual([255, 0, 0, 255]);
+    expect(pixelAt(result.diff, 0, 0)).not.toEqual([255, 0, 0, 255]);
+  });
+
+  latte('threshold decides how different a colour may be', async () => {
+    const expected = image(2, 2, () => WHITE);
+    const slightlyOff = image(2, 2, () => [250, 250, 250]);
+    expect(compareImages(expected, slightlyOff).diffPixels).toBe(0);
+    expect(compareImages(expected, slightlyOff, { threshold: 0 }).diffPixels).toBe(4);
+    expect(compareImages(expected, image(2, 2, () => [0, 0, 0]), { threshold: 1 }).diffPixels).toBe(0);
+  });
+
+  latte('compares transparent pixels as shown on white', async () => {
+    const transparent = image(2, 2, () => [0, 0, 0, 0]);
+    expect(compareImages(image(2, 2, () => WHITE), transparent, { threshold: 0 }).diffPixels).toBe(0);
+    const halfBlack = image(2, 2, () => [0, 0, 0, 128]);
+    expect(compareImages(image(2, 2, () => WHITE), halfBlack).diffPixels).toBe(4);
+  });
+
+  latte('counts the pixels outside the other image when the size changed', async () => {
+    const result = compareImages(image(3, 2, () => WHITE), image(2, 3, () => WHITE));
+    expect(result.sameSize).toBe(false);
+    expect(result.totalPixels).toBe(9);
+    // (2, 0), (2, 1) only in expected; (0, 2), (1, 2) only in actual; (2, 2) in neither
+    expect(result.diffPixels).toBe(5);
+    expect(result.diff.width).toBe(3);
+    expect(result.diff.height).toBe(3);
+  });
+
+  latte('ignores anti-aliased edges, and paints them yellow', async () => {
+    const result = compareImages(edge(128), edge(100));
+    expect(result.diffPixels).toBe(0);
+    expect(pixelAt(result.diff, 2, 2)).toEqual([255, 255, 0, 255]);
+  });
+
+  latte('counts anti-aliased edges when antialiasing is off', async () => {
+    expect(compareImages(edge(128), edge(100), { antialiasing: false }).diffPixels).toBe(5);
+  });
+
+  latte('still counts a change in a flat area', async () => {
+    // A grey dot in the middle of the white area: its neighbours are all equal, not an edge
+    const dotted = image(5, 5, (x, y) => (x === 3 && y === 2 ? [100, 100, 100] : x < 2 ? [0, 0, 0] : x === 2 ? [128, 128, 128] : WHITE));
+    expect(compareImages(edge(128), dotted).diffPixels).toBe(1);
+  });
+});